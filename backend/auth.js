@@ -0,0 +1,63 @@
+import crypto from "crypto";
+
+// ---- Auth hook ----
+// An auth hook receives the WebSocket upgrade request and resolves to:
+//   { subject, name?, moderator? }  an authenticated identity (moderators may post announcements)
+//   null                an anonymous user (allowed)
+//   false               refuse the connection (401)
+// createAuthHook() builds the default one from the environment; any function with
+// the same shape can be passed to the server instead (e.g. a session-cookie lookup).
+
+/**
+ * Verify an HS256-signed JWT with a shared secret.
+ * @returns {object | null} the claims, or null if the token is malformed, forged or expired
+ */
+export function verifyJwt(token, secret, { clockToleranceSec = 30 } = {}) {
+  const parts = String(token ?? "").split(".");
+  if (parts.length !== 3) return null;
+  const [headerB64, payloadB64, signatureB64] = parts;
+
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(headerB64, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (header?.alg !== "HS256" || !claims || typeof claims !== "object") return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${headerB64}.${payloadB64}`).digest();
+  const actual = Buffer.from(signatureB64, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && nowSec > claims.exp + clockToleranceSec) return null;
+  if (typeof claims.nbf === "number" && nowSec + clockToleranceSec < claims.nbf) return null;
+  return claims;
+}
+
+/**
+ * Default hook: verifies `?token=<jwt>` when AUTH_JWT_SECRET is set.
+ * AUTH_REQUIRED=1 refuses anonymous connections. A `"role": "moderator"` claim
+ * makes the user a moderator.
+ */
+export function createAuthHook(env = process.env) {
+  const secret = env.AUTH_JWT_SECRET || null;
+  const required = env.AUTH_REQUIRED === "1" || env.AUTH_REQUIRED === "true";
+  if (required && !secret) {
+    throw new Error("AUTH_REQUIRED is set but AUTH_JWT_SECRET is missing");
+  }
+
+  return async (req) => {
+    const token = new URL(req.url || "/", "http://localhost").searchParams.get("token");
+    if (!token || !secret) return required ? false : null;
+
+    const claims = verifyJwt(token, secret);
+    if (!claims?.sub) return false; // a bad token is refused even when anonymous is allowed
+    return {
+      subject: String(claims.sub),
+      name: typeof claims.name === "string" ? claims.name : undefined,
+      moderator: claims.role === "moderator",
+    };
+  };
+}
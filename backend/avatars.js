@@ -0,0 +1,38 @@
+// ---- Avatars ----
+// An avatar is a composition of parts the client knows how to draw into a
+// sprite sheet (see AVATAR_PARTS in the frontend, which must list the same ids):
+//   { body, hair, outfit, color }   color is the outfit colour as #rrggbb
+
+export const AVATAR_PARTS = {
+  body: ["pale", "tan", "brown", "deep"],
+  hair: ["none", "short", "long", "spiky", "bun"],
+  outfit: ["suit", "hoodie", "jumpsuit", "coat"],
+};
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+/**
+ * Validate a client-supplied avatar.
+ * @returns {{ body: string, hair: string, outfit: string, color: string } | null}
+ */
+export function normalizeAvatar(avatar) {
+  if (!avatar || typeof avatar !== "object") return null;
+  const { body, hair, outfit, color } = avatar;
+  if (!AVATAR_PARTS.body.includes(body)) return null;
+  if (!AVATAR_PARTS.hair.includes(hair)) return null;
+  if (!AVATAR_PARTS.outfit.includes(outfit)) return null;
+  if (typeof color !== "string" || !COLOR_PATTERN.test(color)) return null;
+  return { body, hair, outfit, color: color.toLowerCase() };
+}
+
+/** A random avatar for guests who haven't picked one */
+export function randomAvatar() {
+  const color = `#${Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, "0")}`;
+  return {
+    body: pick(AVATAR_PARTS.body),
+    hair: pick(AVATAR_PARTS.hair),
+    outfit: pick(AVATAR_PARTS.outfit),
+    color,
+  };
+}
@@ -0,0 +1,98 @@
+// Proximity benchmark: N synthetic clients random-walk around a room and, every
+// tick, each one moves and asks "who is near me?" (what a `move` does on the
+// server) and then chats (which resolves recipients to sockets).
+//
+// Compares the old full scans against the SpatialGrid + socket map.
+//
+//   node bench/proximity.js [N...]     e.g. node bench/proximity.js 100 500 2000
+import { performance } from "perf_hooks";
+import { SpatialGrid } from "../spatialIndex.js";
+
+const ROOM = { width: 4000, height: 2250 }; // larger rooms for larger crowds
+const PROXIMITY_RADIUS = 200;
+const STEP = 12; // px per tick, roughly walking speed at 80 Hz
+const TICKS = 20;
+
+const counts = process.argv.slice(2).map(Number).filter((n) => n > 0);
+const sizes = counts.length ? counts : [100, 250, 500, 1000, 2000];
+
+function makeClients(n) {
+  const participants = new Map();
+  const sockets = new Map();
+  for (let i = 0; i < n; i++) {
+    const id = `p${i}`;
+    participants.set(id, {
+      id,
+      x: Math.random() * ROOM.width,
+      y: Math.random() * ROOM.height,
+    });
+    sockets.set(id, { _participantId: id, sent: 0 });
+  }
+  return { participants, sockets };
+}
+
+function walk(p) {
+  p.x = Math.max(0, Math.min(ROOM.width, p.x + (Math.random() - 0.5) * 2 * STEP));
+  p.y = Math.max(0, Math.min(ROOM.height, p.y + (Math.random() - 0.5) * 2 * STEP));
+}
+
+// Old server: scan everyone for proximity, and for each socket scan participants
+function runBruteForce({ participants, sockets }) {
+  const clients = Array.from(sockets.values());
+  let work = 0;
+  for (let t = 0; t < TICKS; t++) {
+    for (const p of participants.values()) {
+      walk(p);
+      const nearby = [];
+      for (const [id, q] of participants) {
+        if (id === p.id) continue;
+        const dx = p.x - q.x;
+        const dy = p.y - q.y;
+        if (dx*dx + dy*dy <= PROXIMITY_RADIUS*PROXIMITY_RADIUS) nearby.push(q);
+      }
+      // sendToParticipants: find each client's participant, then check membership
+      for (const client of clients) {
+        const cp = Array.from(participants.values()).find((q) => client._participantId === q.id);
+        if (cp && nearby.some((q) => q.id === cp.id)) client.sent++;
+      }
+      work += nearby.length;
+    }
+  }
+  return work;
+}
+
+// New server: grid query + direct id -> socket lookup
+function runGrid({ participants, sockets }) {
+  const grid = new SpatialGrid(PROXIMITY_RADIUS);
+  for (const p of participants.values()) grid.update(p.id, p.x, p.y);
+
+  let work = 0;
+  for (let t = 0; t < TICKS; t++) {
+    for (const p of participants.values()) {
+      walk(p);
+      grid.update(p.id, p.x, p.y);
+      const nearby = grid.queryRadius(p.x, p.y, PROXIMITY_RADIUS, p.id);
+      for (const id of nearby) sockets.get(id).sent++;
+      work += nearby.length;
+    }
+  }
+  return work;
+}
+
+function time(fn, clients) {
+  const start = performance.now();
+  fn(clients);
+  return (performance.now() - start) / (TICKS * clients.participants.size);
+}
+
+console.log(`Room ${ROOM.width}x${ROOM.height}, radius ${PROXIMITY_RADIUS}px, ${TICKS} ticks per run`);
+console.log("clients | full scan (ms/move) | grid (ms/move) | speedup");
+for (const n of sizes) {
+  // The old path is quadratic per move (cubic per tick); skip it where it would take minutes
+  const brute = n <= 500 ? time(runBruteForce, makeClients(n)) : null;
+  const grid = time(runGrid, makeClients(n));
+  const speedup = brute === null ? "n/a" : `${(brute / grid).toFixed(1)}x`;
+  console.log(
+    `${String(n).padStart(7)} | ${brute === null ? "skipped".padStart(19) : brute.toFixed(4).padStart(19)} | ${grid.toFixed(4).padStart(14)} | ${speedup}`
+  );
+}
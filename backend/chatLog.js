@@ -0,0 +1,119 @@
+// Bounded message history for one room, split into channels ("proximity" for
+// the open floor, "zone:<id>" per private zone, "dm:<id>:<id>" per pair and
+// "announcements"). Entries remember who received them so the server can
+// decide per reader what history to hand out.
+// Ids increase across the whole room, so they double as pagination cursors.
+
+/**
+ * @typedef {Object} ChatEntry
+ * @property {number} id
+ * @property {string} channel
+ * @property {string} senderId
+ * @property {string} senderName
+ * @property {string} [to]  recipient of a direct message
+ * @property {string} message  raw text; clients render its markdown subset
+ * @property {number} timestamp
+ * @property {{ id: string, name: string }[]} mentions  participants @mentioned in the text
+ * @property {Record<string, string[]>} reactions  emoji -> ids of who reacted
+ * @property {string[]} seenBy  ids of readers who have had it on screen (the sender not included)
+ * @property {number} [editedAt]
+ * @property {boolean} [deleted]  kept as a placeholder so ids stay contiguous for paging
+ * @property {{ id: string, name: string, type: string, size: number }} [attachment]  an upload sent with
+ *   it; only the audience may fetch it, so other readers get it as `restricted` without the id
+ * @property {Set<string>} audience  participant ids it was delivered to, sender included
+ */
+
+export class ChatLog {
+  /** @param {number} limit  entries kept per channel; the oldest are dropped first */
+  constructor(limit) {
+    this.limit = limit;
+    /** @type {Map<string, ChatEntry[]>} */
+    this.channels = new Map();
+    /** @type {Map<number, ChatEntry>} */
+    this.byId = new Map();
+    this.lastId = 0;
+  }
+
+  /**
+   * @param {{ senderId: string, senderName: string, to?: string, message: string, timestamp: number,
+   *   mentions?: { id: string, name: string }[], attachment?: object }} message
+   * @param {Iterable<string>} audience
+   * @returns {ChatEntry}
+   */
+  append(channel, message, audience) {
+    let entries = this.channels.get(channel);
+    if (!entries) {
+      entries = [];
+      this.channels.set(channel, entries);
+    }
+    const entry = { id: ++this.lastId, channel, mentions: [], ...message, reactions: {}, seenBy: [], audience: new Set(audience) };
+    entries.push(entry);
+    this.byId.set(entry.id, entry);
+    if (entries.length > this.limit) {
+      for (const dropped of entries.splice(0, entries.length - this.limit)) this.byId.delete(dropped.id);
+    }
+    return entry;
+  }
+
+  /**
+   * Record that `readerId` has seen a channel up to id `upTo`. Walks back from
+   * there and stops at the first entry already marked, so it stays cheap.
+   * @param {(entry: ChatEntry) => boolean} visible
+   * @returns {number[]}  ids of the entries newly marked
+   */
+  markSeen(channel, readerId, upTo, visible) {
+    const entries = this.channels.get(channel) ?? [];
+    const marked = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (entry.id > upTo || entry.senderId === readerId || entry.deleted || !visible(entry)) continue;
+      if (entry.seenBy.includes(readerId)) break;
+      entry.seenBy.push(readerId);
+      marked.push(entry.id);
+    }
+    return marked;
+  }
+
+  /** @returns {ChatEntry | undefined}  undefined once it has been dropped */
+  get(id) {
+    return this.byId.get(id);
+  }
+
+  /**
+   * Page backwards through a channel: up to `limit` entries older than `before`
+   * (an id) and no older than `since` (a timestamp) that `visible` accepts.
+   * @param {(entry: ChatEntry) => boolean} visible
+   * @returns {{ messages: ChatEntry[], hasMore: boolean }}  messages oldest first
+   */
+  page(channel, { before = Infinity, since = 0, limit }, visible) {
+    const entries = this.channels.get(channel) ?? [];
+    const messages = [];
+    let i = entries.length - 1;
+    for (; i >= 0 && messages.length < limit; i--) {
+      const entry = entries[i];
+      if (entry.timestamp < since) return { messages: messages.reverse(), hasMore: false };
+      if (entry.id < before && visible(entry)) messages.push(entry);
+    }
+    // Is there anything left for a next page?
+    let hasMore = false;
+    for (; i >= 0 && entries[i].timestamp >= since; i--) {
+      if (visible(entries[i])) {
+        hasMore = true;
+        break;
+      }
+    }
+    return { messages: messages.reverse(), hasMore };
+  }
+}
+
+/**
+ * An entry as clients see it (who else received it stays on the server). Pass
+ * `readerId` when the reader may not be in the audience, e.g. for history.
+ */
+export function toClientMessage({ audience, ...message }, readerId = null) {
+  if (message.attachment && readerId !== null && !audience.has(readerId)) {
+    const { id: _id, ...details } = message.attachment;
+    return { ...message, attachment: { ...details, restricted: true } };
+  }
+  return message;
+}
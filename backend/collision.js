@@ -0,0 +1,72 @@
+// Collision grid: the room rasterised into square tiles, 1 = blocked.
+// Used by the server to validate movement (walls can't be walked through).
+
+/**
+ * @typedef {Object} CollisionGrid
+ * @property {number} tileSize
+ * @property {number} cols
+ * @property {number} rows
+ * @property {Uint8Array} blocked  row-major, cols * rows
+ */
+
+/**
+ * @param {{ width: number, height: number, tileSize?: number,
+ *           obstacles?: {x: number, y: number, width: number, height: number}[] }} options
+ * @returns {CollisionGrid}
+ */
+export function createCollisionGrid({ width, height, tileSize = 32, obstacles = [] }) {
+  const cols = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const blocked = new Uint8Array(cols * rows);
+
+  for (const o of obstacles) {
+    const c0 = Math.max(0, Math.floor(o.x / tileSize));
+    const r0 = Math.max(0, Math.floor(o.y / tileSize));
+    const c1 = Math.min(cols - 1, Math.ceil((o.x + o.width) / tileSize) - 1);
+    const r1 = Math.min(rows - 1, Math.ceil((o.y + o.height) / tileSize) - 1);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) blocked[r * cols + c] = 1;
+    }
+  }
+  return { tileSize, cols, rows, blocked };
+}
+
+/** @param {CollisionGrid | null} grid */
+export function isBlocked(grid, x, y) {
+  if (!grid) return false;
+  // Room edges (x === width) belong to the last tile
+  const col = Math.min(grid.cols - 1, Math.max(0, Math.floor(x / grid.tileSize)));
+  const row = Math.min(grid.rows - 1, Math.max(0, Math.floor(y / grid.tileSize)));
+  return grid.blocked[row * grid.cols + col] === 1;
+}
+
+/**
+ * Walk from (x0, y0) to (x1, y1) in quarter-tile steps and stop at the last
+ * free point before a blocked tile.
+ * @param {CollisionGrid | null} grid
+ * @returns {{ x: number, y: number, blocked: boolean }}
+ */
+export function sweep(grid, x0, y0, x1, y1) {
+  if (!grid) return { x: x1, y: y1, blocked: false };
+
+  // Someone already standing in a wall (e.g. a map edit) may walk out of it
+  if (isBlocked(grid, x0, y0)) {
+    return isBlocked(grid, x1, y1) ? { x: x0, y: y0, blocked: true } : { x: x1, y: y1, blocked: false };
+  }
+
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const steps = Math.max(1, Math.ceil(Math.sqrt(dx*dx + dy*dy) / (grid.tileSize / 4)));
+  let lastX = x0;
+  let lastY = y0;
+  for (let i = 1; i <= steps; i++) {
+    const x = x0 + (dx * i) / steps;
+    const y = y0 + (dy * i) / steps;
+    if (isBlocked(grid, x, y)) {
+      return { x: Math.round(lastX), y: Math.round(lastY), blocked: true };
+    }
+    lastX = x;
+    lastY = y;
+  }
+  return { x: x1, y: y1, blocked: false };
+}
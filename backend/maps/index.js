@@ -0,0 +1,229 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createCollisionGrid } from "../collision.js";
+
+// ---- Room maps ----
+// Maps are Tiled JSON (.tmj) files: orthogonal, square tiles, CSV layer data and
+// embedded tilesets. What we read from them:
+//   tile layers          drawn bottom to top; a layer with the bool property
+//                        `collision` blocks every non-empty tile in it
+//   tileset tiles        optional `color` (string) used to draw the tile, and
+//                        `collision` (bool) to block that tile in any layer
+//   object layers        a layer with `collision` turns its rectangles into walls;
+//                        objects of class/type "spawn" (points or rectangles) are
+//                        where people appear; "zone" rectangles or polygons are
+//                        named areas, and a zone with the bool property `private`
+//                        scopes chat and proximity to the people inside it
+// Map-level custom properties are ignored, so the same file opens in Tiled as-is.
+
+const MAPS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const GID_MASK = 0x1fffffff; // strips Tiled's flip/rotate flags
+
+/**
+ * @typedef {Object} MapLayer
+ * @property {string} name
+ * @property {number[]} data  gids, row-major, 0 = empty
+ * @property {number} opacity
+ * @property {boolean} collision
+ */
+
+/**
+ * @typedef {Object} MapZone
+ * @property {string} id
+ * @property {string} name
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {{x: number, y: number}[] | null} polygon  absolute points, null for rectangles
+ * @property {boolean} private  everyone inside hears each other and nobody outside hears in
+ * @property {Record<string, unknown>} properties  the zone's Tiled custom properties
+ */
+
+/**
+ * @typedef {Object} GameMap
+ * @property {number} width  px
+ * @property {number} height  px
+ * @property {number} tileSize  px
+ * @property {number} cols
+ * @property {number} rows
+ * @property {MapLayer[]} layers
+ * @property {Record<number, {name?: string, color?: string}>} tiles  by gid
+ * @property {{x: number, y: number, width: number, height: number}[]} spawns  points have width/height 0
+ * @property {MapZone[]} zones
+ * @property {import("../collision.js").CollisionGrid} collision
+ */
+
+// Tiled stores custom properties as [{ name, type, value }]
+function propertiesOf(entity) {
+  const props = {};
+  for (const { name, value } of entity?.properties ?? []) props[name] = value;
+  return props;
+}
+
+// `class` since Tiled 1.9, `type` before that
+const classOf = (object) => object.class ?? object.type ?? "";
+
+// Tiled polygon points are relative to the object's position
+function polygonBounds({ x, y, polygon }) {
+  const xs = polygon.map((pt) => x + pt.x);
+  const ys = polygon.map((pt) => y + pt.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+/** @param {MapZone} zone */
+export function zoneContains(zone, x, y) {
+  if (x < zone.x || y < zone.y || x > zone.x + zone.width || y > zone.y + zone.height) return false;
+  if (!zone.polygon) return true;
+
+  // Even-odd ray cast
+  let inside = false;
+  const pts = zone.polygon;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * The private zone containing (x, y), if any. Zones are checked in map order,
+ * so with overlaps the one listed first wins.
+ * @param {GameMap} map
+ * @returns {MapZone | null}
+ */
+export function privateZoneAt(map, x, y) {
+  return map.zones.find((zone) => zone.private && zoneContains(zone, x, y)) ?? null;
+}
+
+/**
+ * Validate a parsed TMJ document and convert it to the server's map shape.
+ * @param {object} tmj
+ * @param {string} [source]  for error messages
+ * @returns {GameMap}
+ */
+export function parseMap(tmj, source = "map") {
+  if (tmj?.type !== "map") throw new Error(`${source}: not a Tiled map`);
+  if (tmj.orientation !== "orthogonal") throw new Error(`${source}: only orthogonal maps are supported`);
+  if (tmj.infinite) throw new Error(`${source}: infinite maps are not supported`);
+  if (tmj.tilewidth !== tmj.tileheight) throw new Error(`${source}: tiles must be square`);
+
+  const cols = tmj.width;
+  const rows = tmj.height;
+  const tileSize = tmj.tilewidth;
+  if (![cols, rows, tileSize].every((n) => Number.isInteger(n) && n > 0)) {
+    throw new Error(`${source}: width, height and tilewidth must be positive integers`);
+  }
+  const width = cols * tileSize;
+  const height = rows * tileSize;
+
+  const tiles = {};
+  const blockingGids = new Set();
+  for (const tileset of tmj.tilesets ?? []) {
+    if (tileset.source) throw new Error(`${source}: external tileset ${tileset.source}, embed it instead`);
+    for (const tile of tileset.tiles ?? []) {
+      const gid = tileset.firstgid + tile.id;
+      const props = propertiesOf(tile);
+      tiles[gid] = { name: props.name ?? tile.type ?? tile.class, color: props.color };
+      if (props.collision === true) blockingGids.add(gid);
+    }
+  }
+
+  const layers = [];
+  const walls = [];
+  const spawns = [];
+  const zones = [];
+  for (const layer of tmj.layers ?? []) {
+    const props = propertiesOf(layer);
+    if (layer.type === "tilelayer") {
+      if (layer.encoding && layer.encoding !== "csv") {
+        throw new Error(`${source}: layer "${layer.name}" uses ${layer.encoding}, export with CSV layer format`);
+      }
+      if (!Array.isArray(layer.data) || layer.data.length !== cols * rows) {
+        throw new Error(`${source}: layer "${layer.name}" must have ${cols * rows} tiles`);
+      }
+      if (layer.visible === false) continue;
+      layers.push({
+        name: layer.name,
+        data: layer.data.map((gid) => gid & GID_MASK),
+        opacity: layer.opacity ?? 1,
+        collision: props.collision === true,
+      });
+    } else if (layer.type === "objectgroup") {
+      for (const object of layer.objects ?? []) {
+        const rect = {
+          x: object.x,
+          y: object.y,
+          width: object.point ? 0 : object.width ?? 0,
+          height: object.point ? 0 : object.height ?? 0,
+        };
+        const kind = classOf(object);
+        if (kind === "spawn") spawns.push(rect);
+        else if (kind === "zone") {
+          const zoneProps = propertiesOf(object);
+          zones.push({
+            id: String(object.id),
+            name: object.name || `Zone ${object.id}`,
+            ...(object.polygon ? polygonBounds(object) : rect),
+            polygon: object.polygon
+              ? object.polygon.map((pt) => ({ x: object.x + pt.x, y: object.y + pt.y }))
+              : null,
+            private: zoneProps.private === true,
+            properties: zoneProps,
+          });
+        } else if (props.collision === true && rect.width > 0 && rect.height > 0) {
+          walls.push(rect);
+        }
+      }
+    }
+  }
+
+  const collision = createCollisionGrid({ width, height, tileSize, obstacles: walls });
+  for (const layer of layers) {
+    layer.data.forEach((gid, i) => {
+      if (gid && (layer.collision || blockingGids.has(gid))) collision.blocked[i] = 1;
+    });
+  }
+
+  return { width, height, tileSize, cols, rows, layers, tiles, spawns, zones, collision };
+}
+
+/**
+ * Load a .tmj file; relative paths are resolved against this directory.
+ * @returns {Promise<GameMap>}
+ */
+export async function loadMap(file) {
+  const filePath = path.resolve(MAPS_DIR, file);
+  return parseMap(JSON.parse(await fs.readFile(filePath, "utf8")), path.basename(filePath));
+}
+
+/**
+ * An empty floor-only map for rooms without a map file (ad-hoc team areas).
+ * @returns {GameMap}
+ */
+export function blankMap(width, height, tileSize) {
+  const cols = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  return {
+    width: cols * tileSize,
+    height: rows * tileSize,
+    tileSize,
+    cols,
+    rows,
+    layers: [],
+    tiles: {},
+    spawns: [],
+    zones: [],
+    collision: createCollisionGrid({ width: cols * tileSize, height: rows * tileSize, tileSize }),
+  };
+}
+
+/** What clients need to draw the map; `blocked` also covers walls drawn as objects */
+export function toClientMap(map) {
+  const { tileSize, cols, rows, layers, tiles, spawns, zones, collision } = map;
+  return { tileSize, cols, rows, layers, tiles, spawns, zones, blocked: Array.from(collision.blocked) };
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+
+// ---- Virtual objects ----
+// Things placed in a room that people interact with once they're close:
+//   note    { text, color }          sticky note, editable by anyone in range
+//   portal  { label, room, x, y }    teleports whoever uses it to (x, y) in `room`,
+//                                    or in the same room when `room` is null
+//   link    { url, title }           a card that opens an http(s) URL
+//   whiteboard { title }             shared drawing; its strokes are kept on the
+//                                    object (`strokes`) and sent only to people who open it
+// This module only shapes and validates objects; range and ownership checks
+// live with the rest of the room logic in server.js.
+
+export const OBJECT_TYPES = ["note", "portal", "link", "whiteboard"];
+export const NOTE_COLORS = ["#fde047", "#f9a8d4", "#86efac", "#93c5fd"];
+const MAX_NOTE_LENGTH = 500;
+const MAX_LABEL_LENGTH = 60;
+const MAX_URL_LENGTH = 2048;
+
+// Whiteboard strokes are in board coordinates, the same fixed size on every client
+const BOARD_WIDTH = 960;
+const BOARD_HEIGHT = 600;
+const MAX_STROKES_PER_BOARD = 500;
+const MAX_POINTS_PER_STROKE = 2000;
+const MAX_POINTS_PER_BOARD = 20000; // all strokes together, so a board's size is bounded
+const MAX_POINTS_PER_MESSAGE = 200;
+const MAX_STROKE_WIDTH = 32;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const STROKE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * @typedef {Object} RoomObject
+ * @property {string} id
+ * @property {"note" | "portal" | "link" | "whiteboard"} type
+ * @property {number} x
+ * @property {number} y
+ * @property {Record<string, unknown>} state  per type, see above
+ * @property {string} owner  participant id of whoever placed it
+ * @property {number} updatedAt
+ * @property {Stroke[]} [strokes]  whiteboards only, oldest first
+ */
+
+/**
+ * @typedef {Object} Stroke
+ * @property {string} id  chosen by the drawing client
+ * @property {string} author  participant id
+ * @property {string} color  #rrggbb
+ * @property {number} width  px in board coordinates
+ * @property {[number, number][]} points
+ */
+
+const text = (value, max) => String(value ?? "").trim().slice(0, max);
+
+// Each takes the proposed state and returns the normalized one, or null if it's unusable
+const STATE_NORMALIZERS = {
+  note(state) {
+    return {
+      text: String(state.text ?? "").slice(0, MAX_NOTE_LENGTH),
+      color: NOTE_COLORS.includes(state.color) ? state.color : NOTE_COLORS[0],
+    };
+  },
+  portal(state, { normalizeRoomId }) {
+    const room = state.room ? normalizeRoomId(state.room) : null;
+    if (state.room && !room) return null;
+    const x = Number(state.x);
+    const y = Number(state.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    return { label: text(state.label, MAX_LABEL_LENGTH) || "Portal", room, x: Math.round(x), y: Math.round(y) };
+  },
+  link(state) {
+    let url;
+    try {
+      url = new URL(String(state.url ?? ""));
+    } catch {
+      return null;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    if (url.href.length > MAX_URL_LENGTH) return null;
+    return { url: url.href, title: text(state.title, MAX_LABEL_LENGTH) || url.hostname };
+  },
+  whiteboard(state) {
+    return { title: text(state.title, MAX_LABEL_LENGTH) || "Whiteboard" };
+  },
+};
+
+/**
+ * Validate the state for an object type.
+ * @param {{ normalizeRoomId: (id: unknown) => string | null }} options  checks portal targets
+ * @returns {Record<string, unknown> | null}
+ */
+export function normalizeObjectState(type, state, options) {
+  const normalize = STATE_NORMALIZERS[type];
+  if (!normalize || !state || typeof state !== "object") return null;
+  return normalize(state, options);
+}
+
+/**
+ * A new object, or null if the type or state is invalid.
+ * @returns {RoomObject | null}
+ */
+export function createObject({ type, x, y, state }, owner, options) {
+  const normalized = normalizeObjectState(type, state, options);
+  if (!normalized) return null;
+  const object = { id: crypto.randomUUID(), type, x, y, state: normalized, owner, updatedAt: Date.now() };
+  if (type === "whiteboard") object.strokes = [];
+  return object;
+}
+
+/** What everyone in the room gets; whiteboard strokes are fetched separately */
+export function toClientObject(object) {
+  const { strokes: _strokes, ...rest } = object;
+  return rest;
+}
+
+/**
+ * Validate a chunk of a stroke being drawn: its id, pen and the new points
+ * (clamped to the board). Returns null if anything is off.
+ * @returns {{ id: string, color: string, width: number, points: [number, number][] } | null}
+ */
+export function normalizeStrokeChunk(stroke, points) {
+  const id = String(stroke?.id ?? "");
+  if (!STROKE_ID_PATTERN.test(id)) return null;
+  const color = String(stroke?.color ?? "");
+  if (!COLOR_PATTERN.test(color)) return null;
+  const width = Number(stroke?.width);
+  if (!Number.isFinite(width) || width < 1 || width > MAX_STROKE_WIDTH) return null;
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_POINTS_PER_MESSAGE) return null;
+
+  const clean = [];
+  for (const point of points) {
+    const x = Number(point?.[0]);
+    const y = Number(point?.[1]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    clean.push([Math.round(Math.min(BOARD_WIDTH, Math.max(0, x))), Math.round(Math.min(BOARD_HEIGHT, Math.max(0, y)))]);
+  }
+  return { id, color: color.toLowerCase(), width: Math.round(width), points: clean };
+}
+
+/**
+ * Append a chunk to the board, starting the stroke if it's new. Returns the
+ * points actually added (fewer once a stroke hits its cap), or null if the
+ * board is full or the stroke belongs to someone else.
+ */
+export function appendStroke(board, chunk, author) {
+  const boardRoom = MAX_POINTS_PER_BOARD - board.strokes.reduce((n, s) => n + s.points.length, 0);
+  if (boardRoom <= 0) return null;
+  let stroke = board.strokes.find((s) => s.id === chunk.id);
+  if (!stroke) {
+    if (board.strokes.length >= MAX_STROKES_PER_BOARD) return null;
+    stroke = { id: chunk.id, author, color: chunk.color, width: chunk.width, points: [] };
+    board.strokes.push(stroke);
+  } else if (stroke.author !== author) {
+    return null;
+  }
+  const added = chunk.points.slice(0, Math.min(MAX_POINTS_PER_STROKE - stroke.points.length, boardRoom));
+  stroke.points.push(...added);
+  return added;
+}
@@ -2,35 +2,244 @@ import http from "http";
 import express from "express";
 import { WebSocketServer } from "ws";
 import crypto from "crypto";
+import { createStore } from "./store/index.js";
+import { createAuthHook } from "./auth.js";
+import { SpatialGrid } from "./spatialIndex.js";
+import { ChatLog, toClientMessage } from "./chatLog.js";
+import { isBlocked, sweep } from "./collision.js";
+import { loadMap, blankMap, toClientMap, privateZoneAt } from "./maps/index.js";
+import { normalizeAvatar, randomAvatar } from "./avatars.js";
+import {
+  createObject,
+  normalizeObjectState,
+  toClientObject,
+  normalizeStrokeChunk,
+  appendStroke,
+} from "./objects.js";
+import {
+  LocalDiskStorage,
+  MAX_UPLOAD_BYTES,
+  checkUpload,
+  cleanFileName,
+  toClientAttachment,
+} from "./uploads.js";
 
 // ---- Config ----
 const PORT = process.env.PORT || 5000;
-const ROOM = { width: 1600, height: 900 }; // client should mirror these
+const DEFAULT_ROOM_ID = "lobby";
+const ROOM_DEFAULTS = { width: 1600, height: 900 }; // client falls back to these
+// Preset rooms take their size and layout from a Tiled map in maps/. Extra zones
+// (e.g. desks) can be listed here too: { name, x, y, width, height, polygon?, private? }
+const ROOM_PRESETS = [
+  {
+    id: "lobby",
+    name: "Lobby",
+    map: "lobby.tmj",
+    zones: [{ name: "Focus Desk", x: 100, y: 100, width: 200, height: 150, private: true }],
+  },
+  { id: "hall", name: "All-Hands Hall", map: "hall.tmj" },
+  { id: "lounge", name: "Lounge", map: "lounge.tmj" },
+];
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/; // ad-hoc rooms (team areas) must match
 const MOVE_RATE_LIMIT_MS = 12; // ~80 updates/sec cap per client
+const MAX_SPEED_PX_PER_S = 2500; // client caps its eased click-to-move animation at this
+const MOVE_CREDIT_MAX_MS = 250; // standing still doesn't bank a teleport
+const MOVE_TOLERANCE_PX = 16; // slack for jitter/rounding before a move is corrected
+const TILE_SIZE = 50; // tile size of the blank map given to ad-hoc rooms
 const CHAT_RATE_LIMIT_MS = 1000; // 1 message per second max
 const MAX_MESSAGE_LENGTH = 200; // Prevent spam with long messages
+const CHAT_LOG_LIMIT = 200; // messages kept per room channel (open floor, each private zone)
+const CHAT_HISTORY_PAGE = 30; // max messages per chat_history reply
+const CATCH_UP_WINDOW_MS = 10 * 60 * 1000; // walking into a conversation replays this much of it
+const CATCH_UP_LIMIT = 10;
+const DM_RATE_LIMIT_MS = 500;
+const ANNOUNCE_RATE_LIMIT_MS = 10000; // announcements reach everyone, so they're scarcer
+const ANNOUNCEMENT_CHANNEL = "announcements";
+const CHAT_EDIT_WINDOW_MS = 5 * 60 * 1000; // your own messages can be edited or deleted this long
+const REACTIONS = ["👍", "❤️", "😂", "🎉", "😮", "👀"];
+const REACTION_RATE_LIMIT_MS = 250;
+const MAX_MENTIONS = 10;
+const TYPING_RATE_LIMIT_MS = 1000; // typing_start is resent while typing; stop only follows a relayed start
+const SEEN_RATE_LIMIT_MS = CHAT_RATE_LIMIT_MS / 2; // clients batch receipts once per CHAT_RATE_LIMIT_MS
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "./data/uploads";
+const MAX_PENDING_UPLOADS = 5; // uploaded but not sent yet, per participant
+const UPLOAD_PENDING_TTL_MS = 10 * 60 * 1000; // unsent uploads are deleted after this
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 1000;
+const EMOTES = ["wave", "thumbs-up", "heart", "laugh", "raise-hand"];
+const EMOTE_RATE_LIMIT_MS = 500;
+const STATUSES = ["available", "busy", "away", "dnd"]; // dnd = do not disturb
+const OBJECT_RANGE_PX = 80; // how close you must be to place, edit or use an object
+const OBJECT_RATE_LIMIT_MS = 200;
+const MAX_OBJECTS_PER_ROOM = 100;
+const MAX_WHITEBOARDS_PER_ROOM = 10; // each holds up to 20k points (objects.js)
+const BOARD_STROKE_RATE_LIMIT_MS = 25; // clients send a chunk every 50 ms while drawing
+const BOARD_RANGE_PX = 200; // whiteboard strokes stream to everyone this close to the board
 const HEARTBEAT_INTERVAL_MS = 15000; // pings
 const CONNECTION_TTL_MS = 30000; // declare dead if no pong in 30s
+const SESSION_GRACE_MS = 30000; // keep a dropped participant around this long for a resume
+const SOCKET_PROTOCOL = "nexus"; // WebSocket subprotocol; `nexus.session.<token>` next to it resumes a session
 const PROXIMITY_RADIUS = 200; // px distance threshold
+const INTEREST_RADIUS = 400; // px, avatars this close always stream at full rate
+const VIEWPORT_MARGIN = 100; // px around the reported viewport that still counts as visible
+const FAR_UPDATE_INTERVAL_MS = 500; // 2 Hz batches for everything else
+const TICK_RATE_HZ = Number(process.env.TICK_RATE_HZ) || 0; // e.g. 20; 0 sends every move immediately
+const MAX_SIGNAL_BYTES = 16 * 1024; // SDP blobs are a few KB, ICE candidates far less
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/; // client-generated, kept in localStorage
+const STREAM_ID_PATTERN = /^[A-Za-z0-9{}_-]{1,64}$/; // MediaStream.id (Firefox wraps it in braces)
+
+// ---- Storage (JSON file for dev, MongoDB when MONGODB_URI is set) ----
+const store = await createStore();
+// Chat attachments (see uploads.js): bytes on disk, metadata here
+const uploadStorage = new LocalDiskStorage(UPLOAD_DIR);
+await uploadStorage.init();
+/** @type {Map<string, import("./uploads.js").Upload>} */
+const uploads = new Map();
 
 // ---- Server (HTTP + WS) ----
 const app = express();
 app.use(express.json());
 
+// The frontend is served from another origin, let it read the JSON routes
+// (and send uploads, which need a preflight for their headers)
+app.use((req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  if (req.method === "OPTIONS") {
+    res.set("Access-Control-Allow-Methods", "GET, POST");
+    res.set("Access-Control-Allow-Headers", "Authorization, Content-Type, X-File-Name");
+    return res.sendStatus(204);
+  }
+  next();
+});
+
 // Lightweight health + debug routes
 app.get("/health", (req, res) => res.json({ ok: true, time: Date.now() }));
-app.get("/room", (req, res) => res.json(ROOM));
+app.get("/room", (req, res) => {
+  const room = rooms.get(normalizeRoomId(req.query.id) || DEFAULT_ROOM_ID);
+  if (!room) return res.status(404).json({ error: "Unknown room" });
+  res.json(toRoomInfo(room));
+});
+app.get("/rooms", (req, res) => {
+  res.json({
+    rooms: Array.from(rooms.values()).map((room) => ({
+      ...toRoomInfo(room),
+      occupancy: room.participants.size,
+    })),
+  });
+});
+
+// Chat attachments. The session token from `welcome`, as a Bearer header, says who
+// is asking (never in the URL: it also resumes the participant, and URLs get copied
+// and logged). The file type is the Content-Type; X-File-Name carries the URI-encoded name.
+// Checked before the body is read, so strangers can't make us buffer uploads
+const requireSession = (req, res, next) => {
+  req.session = sessionForRequest(req);
+  if (!req.session) return res.status(401).json({ error: "Not connected" });
+  next();
+};
+app.post("/uploads", requireSession, express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+  const { session } = req;
+  const type = String(req.get("content-type") ?? "").split(";")[0].trim().toLowerCase();
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const problem = checkUpload(type, body);
+  if (problem) return res.status(415).json({ error: problem });
+
+  const p = session.participant;
+  await sweepUploads();
+  const pending = Array.from(uploads.values()).filter((u) => u.uploaderId === p.id && u.messageId === null);
+  if (pending.length >= MAX_PENDING_UPLOADS) return res.status(429).json({ error: "Too many unsent uploads" });
+
+  const upload = {
+    id: makeId(),
+    name: cleanFileName(req.get("x-file-name")),
+    type,
+    size: body.length,
+    uploaderId: p.id,
+    roomId: session.room.id,
+    createdAt: now(),
+    messageId: null,
+  };
+  await uploadStorage.save(upload.id, body);
+  uploads.set(upload.id, upload);
+  res.status(201).json({ upload: toClientAttachment(upload) });
+});
+app.get("/uploads/:id", async (req, res) => {
+  const session = sessionForRequest(req);
+  const upload = uploads.get(req.params.id);
+  // Not found either way, so ids can't be probed
+  if (!session || !upload || !canAccessUpload(session.participant, session.room, upload)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const data = await uploadStorage.read(upload.id);
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.set({
+    "Content-Type": upload.type,
+    "Content-Disposition": `${upload.type.startsWith("image/") ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(upload.name)}`,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'",
+    "Cache-Control": "private, max-age=3600",
+  });
+  res.send(data);
+});
+
+// Body errors (oversized uploads) answer in JSON like the routes above
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status ?? 500;
+  if (status >= 500) console.error(`Error handling ${req.method} ${req.path}:`, err);
+  res.status(status).json({ error: status === 413 ? "File too large" : status < 500 ? err.message : "Server error" });
+});
 
 // If you later build the React app, serve it here (optional for Hour 1)
 // app.use(express.static("./dist"));
 // app.get("*", (_, res) => res.sendFile(path.resolve("./dist/index.html")));
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+
+// Auth hook (see auth.js): resolves an identity, null for anonymous, or false to refuse
+const authenticate = createAuthHook();
+const wss = new WebSocketServer({
+  server,
+  // Offered alongside the session subprotocol (see sessionTokenFromProtocols); never echo that one back
+  handleProtocols: (protocols) => (protocols.has(SOCKET_PROTOCOL) ? SOCKET_PROTOCOL : false),
+  verifyClient: (info, done) => {
+    authenticate(info.req)
+      .then((identity) => {
+        if (identity === false) return done(false, 401, "Unauthorized");
+        info.req.identity = identity;
+        done(true);
+      })
+      .catch((e) => {
+        console.error("Auth hook failed:", e);
+        done(false, 500, "Authentication error");
+      });
+  },
+});
 
 // ---- State ----
-/** @type {Map<string, Participant>} */
-const participants = new Map();
+/** @type {Map<string, Room>} */
+const rooms = new Map();
+
+/** Direct participantId -> socket lookup for targeted sends */
+/** @type {Map<string, import("ws").WebSocket>} */
+const sockets = new Map();
+
+/**
+ * @typedef {Object} Room
+ * @property {string} id
+ * @property {string} name
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} persistent  presets stay open when empty, ad-hoc rooms are dropped
+ * @property {Map<string, Participant>} participants
+ * @property {Set<import("ws").WebSocket>} clients
+ * @property {SpatialGrid} grid  participant positions, for proximity queries
+ * @property {Map<string, {x: number, y: number}>} pendingMoves  positions changed since the last tick
+ * @property {number} tickSeq
+ * @property {import("./maps/index.js").GameMap} map  layout, spawns, zones and the collision grid
+ * @property {Map<string, Set<string>>} zoneMembers  private zone id -> participant ids inside it
+ * @property {Map<string, import("./objects.js").RoomObject>} objects  notes, portals and links placed in the room
+ * @property {ChatLog} chatLog  recent chat per channel, see chatChannel()
+ */
 
 /**
  * @typedef {Object} Participant
@@ -38,51 +247,645 @@ const participants = new Map();
  * @property {string} name
  * @property {number} x
  * @property {number} y
- * @property {string} color
+ * @property {string} color  the avatar's outfit colour, used for dots and lines
+ * @property {{body: string, hair: string, outfit: string, color: string}} avatar  see avatars.js
+ * @property {string} status  one of STATUSES, kept in the profile
  * @property {number} lastSeen
+ * @property {string} [profileId]  set once a join names a stored profile
+ * @property {Record<string, {x: number, y: number}>} [positions]  last position per room
+ * @property {boolean} [joined]
+ * @property {number} [disconnectedAt]  set while the session is in its grace window
+ * @property {Set<string>} [nearby]  ids within PROXIMITY_RADIUS, kept symmetric across participants
+ * @property {number} [lastPlacedAt]  when the position last changed, for the speed limit
+ * @property {string | null} [zoneId]  the private zone p stands in, if any
+ * @property {string | null} [screenShare]  id of the WebRTC stream carrying p's screen while sharing
+ * @property {boolean} [moderator]  may post announcements; granted by the auth hook
  */
 
 // ---- Utils ----
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 const now = () => Date.now();
 const makeId = () => crypto.randomUUID();
-const randomColor = () => `hsl(${Math.floor(Math.random() * 360)} 90% 60%)`;
-const randomSpawn = () => ({
-  x: Math.floor(Math.random() * ROOM.width),
-  y: Math.floor(Math.random() * ROOM.height),
-});
+const makeSessionToken = () => crypto.randomBytes(24).toString("base64url"); // also a valid subprotocol token
+const SPAWN_ATTEMPTS = 20;
+
+// Random point in one of the map's spawn areas (or anywhere), avoiding blocked tiles where possible
+function randomSpawn(room) {
+  const { spawns, collision } = room.map;
+  let point;
+  for (let i = 0; i < SPAWN_ATTEMPTS; i++) {
+    const area = spawns.length > 0
+      ? spawns[Math.floor(Math.random() * spawns.length)]
+      : { x: 0, y: 0, width: room.width, height: room.height };
+    point = {
+      x: Math.floor(area.x + Math.random() * area.width),
+      y: Math.floor(area.y + Math.random() * area.height),
+    };
+    if (!isBlocked(collision, point.x, point.y)) break;
+  }
+  return point;
+}
 
 function toClientParticipant(p) {
-  return { id: p.id, name: p.name, x: p.x, y: p.y, color: p.color };
+  return {
+    id: p.id,
+    name: p.name,
+    x: p.x,
+    y: p.y,
+    color: p.color,
+    avatar: p.avatar,
+    status: p.status,
+    screenShare: p.screenShare ?? null,
+    moderator: p.moderator === true,
+  };
 }
 
-function calcNearby(p) {
-  const nearby = [];
-  for (const [id2, q] of participants) {
-    if (p.id === id2) continue;
-    const dx = p.x - q.x;
-    const dy = p.y - q.y;
-    if (dx*dx + dy*dy <= PROXIMITY_RADIUS*PROXIMITY_RADIUS) {
-      nearby.push(id2);
-    }
+function toRoomInfo(room) {
+  return { id: room.id, name: room.name, width: room.width, height: room.height };
+}
+
+// The `state` snapshot: everyone in the room and everything placed in it
+function toRoomState(room) {
+  return {
+    participants: Array.from(room.participants.values()).map(toClientParticipant),
+    objects: Array.from(room.objects.values()).map(toClientObject),
+  };
+}
+
+// ---- Profiles ----
+function normalizeProfileId(profileId) {
+  const id = String(profileId ?? "");
+  return PROFILE_ID_PATTERN.test(id) ? id : null;
+}
+
+// Authenticated users get a profile keyed by their subject, not the client-supplied id
+function profileIdForSubject(subject) {
+  return `sub-${crypto.createHash("sha256").update(subject).digest("hex").slice(0, 40)}`;
+}
+
+// Resume at the last position saved for this room, else a random spawn
+function spawnPoint(p, room) {
+  const saved = p.positions?.[room.id];
+  if (!saved || isBlocked(room.map.collision, saved.x, saved.y)) return randomSpawn(room);
+  return { x: clamp(saved.x, 0, room.width), y: clamp(saved.y, 0, room.height) };
+}
+
+function saveProfile(p, room) {
+  if (!p.profileId) return Promise.resolve();
+  p.positions = { ...p.positions, [room.id]: { x: p.x, y: p.y } };
+  return store
+    .saveUser({
+      id: p.profileId,
+      name: p.name,
+      color: p.color,
+      avatar: p.avatar,
+      status: p.status,
+      lastRoomId: room.id,
+      positions: p.positions,
+    })
+    .catch((e) => console.error(`Failed to save profile ${p.profileId}:`, e));
+}
+
+// ---- Room registry ----
+function createRoom({ id, name, width, height, map, zones = [] }, persistent = false) {
+  map ??= blankMap(width, height, TILE_SIZE);
+  zones.forEach((zone, i) => {
+    map.zones.push({
+      id: `${id}-zone-${i + 1}`,
+      polygon: null,
+      properties: {},
+      ...zone,
+      private: zone.private === true,
+    });
+  });
+  const room = {
+    id,
+    name: name || id,
+    width: map.width,
+    height: map.height,
+    map,
+    zoneMembers: new Map(),
+    objects: new Map(),
+    chatLog: new ChatLog(CHAT_LOG_LIMIT),
+    persistent,
+    participants: new Map(),
+    clients: new Set(),
+    grid: new SpatialGrid(PROXIMITY_RADIUS),
+    pendingMoves: new Map(),
+    tickSeq: 0,
+  };
+  rooms.set(id, room);
+  return room;
+}
+
+for (const preset of ROOM_PRESETS) {
+  createRoom({ ...preset, map: await loadMap(preset.map) }, true);
+}
+
+function normalizeRoomId(roomId) {
+  const id = String(roomId ?? "").trim().toLowerCase();
+  return ROOM_ID_PATTERN.test(id) ? id : null;
+}
+
+// Resolve a room by id, creating an ad-hoc one with default dimensions
+function getOrCreateRoom(roomId) {
+  const id = normalizeRoomId(roomId);
+  if (!id) return null;
+  return rooms.get(id) || createRoom({ id, ...ROOM_DEFAULTS });
+}
+
+// Extract the room id from a `/ws/:roomId` upgrade path
+function roomIdFromUrl(url) {
+  const match = /^\/ws\/([^/?#]+)/.exec(url || "");
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Every position change goes through here so the spatial index stays in sync
+function placeParticipant(room, p, { x, y }) {
+  p.x = x;
+  p.y = y;
+  p.lastPlacedAt = now();
+  if (room.participants.has(p.id)) {
+    room.grid.update(p.id, x, y);
+    // Crossing a zone edge changes the chat header even if nobody is inside
+    const zoneChanged = updateZone(room, p);
+    updateProximity(room, p, { force: zoneChanged });
   }
-  return nearby;
 }
 
-function sendProximity(ws, p) {
-  const nearby = calcNearby(p);
-  send(ws, "proximity", { selfId: p.id, nearby });
+// Track which private zone (if any) p is standing in; true if it changed
+function updateZone(room, p) {
+  const zoneId = privateZoneAt(room.map, p.x, p.y)?.id ?? null;
+  if (zoneId === (p.zoneId ?? null)) return false;
+  leaveZone(room, p);
+  if (zoneId) {
+    if (!room.zoneMembers.has(zoneId)) room.zoneMembers.set(zoneId, new Set());
+    room.zoneMembers.get(zoneId).add(p.id);
+    p.zoneId = zoneId;
+  }
+  return true;
+}
+
+function leaveZone(room, p) {
+  if (!p.zoneId) return;
+  const members = room.zoneMembers.get(p.zoneId);
+  members?.delete(p.id);
+  if (members?.size === 0) room.zoneMembers.delete(p.zoneId);
+  p.zoneId = null;
+}
+
+function enterRoom(ws, p, room, { announce = true, resumed = false } = {}) {
+  room.participants.set(p.id, p);
+  room.grid.update(p.id, p.x, p.y);
+  updateZone(room, p);
+  room.clients.add(ws);
+  p.nearby = new Set();
+
+  // Greet client with their identity + full state of the room
+  send(ws, "welcome", {
+    selfId: p.id,
+    room: { ...toRoomInfo(room), map: toClientMap(room.map) },
+    sessionToken: ws._sessionToken,
+    resumed,
+  });
+  send(ws, "state", toRoomState(room));
+  ws._lastSent.clear();
+  forgetSentPosition(room, p.id);
+
+  // Notify others in the same room
+  if (announce) broadcast(room, "joined", { participant: toClientParticipant(p) }, ws);
+  updateProximity(room, p, { force: true });
+}
+
+function leaveRoom(ws, p, room) {
+  room.clients.delete(ws);
+  if (room.participants.delete(p.id)) {
+    room.grid.remove(p.id);
+    leaveZone(room, p);
+    room.pendingMoves.delete(p.id);
+    forgetSentPosition(room, p.id);
+    clearProximity(room, p);
+    broadcast(room, "left", { id: p.id });
+  }
+  if (!room.persistent && room.participants.size === 0 && room.clients.size === 0) {
+    rooms.delete(room.id);
+  }
+}
+
+// ---- Movement validation (server-authoritative) ----
+// Cap each step by MAX_SPEED_PX_PER_S and stop at walls. Returns the position
+// to accept and, if it differs from the request, why.
+function validateMove(room, p, x, y, t) {
+  let reason = null;
+
+  const elapsed = Math.min(t - (p.lastPlacedAt ?? 0), MOVE_CREDIT_MAX_MS);
+  const maxStep = (MAX_SPEED_PX_PER_S * elapsed) / 1000 + MOVE_TOLERANCE_PX;
+  const dx = x - p.x;
+  const dy = y - p.y;
+  const distance = Math.sqrt(dx*dx + dy*dy);
+  if (distance > maxStep) {
+    const k = maxStep / distance;
+    x = Math.round(p.x + dx * k);
+    y = Math.round(p.y + dy * k);
+    reason = "speed";
+  }
+
+  const swept = sweep(room.map.collision, p.x, p.y, x, y);
+  if (swept.blocked) {
+    x = swept.x;
+    y = swept.y;
+    reason = "blocked";
+  }
+
+  return { x, y, reason };
+}
+
+// ---- Virtual objects (shapes and validation in objects.js) ----
+function inObjectRange(p, { x, y }, range = OBJECT_RANGE_PX) {
+  return Math.hypot(p.x - x, p.y - y) <= range;
 }
 
-function broadcast(type, payload, exceptWs = null) {
+// Notes are everyone's; portals and links are their owner's until the owner leaves the room
+function canEditObject(room, p, object) {
+  return object.type === "note" || object.owner === p.id || !room.participants.has(object.owner);
+}
+
+// Objects go on open floor within reach of whoever places or moves them
+function isObjectSpot(room, p, x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+  if (x < 0 || y < 0 || x > room.width || y > room.height) return false;
+  return !isBlocked(room.map.collision, x, y) && inObjectRange(p, { x, y });
+}
+
+// A portal's target point, or a spawn point if the target is a wall (maps change)
+function portalDestination(room, p, { x, y }) {
+  const point = { x: clamp(x, 0, room.width), y: clamp(y, 0, room.height) };
+  return isBlocked(room.map.collision, point.x, point.y) ? spawnPoint(p, room) : point;
+}
+
+// A whiteboard p may draw on (or open) from where they stand
+function boardInReach(room, p, boardId) {
+  const board = room.objects.get(String(boardId ?? ""));
+  return board?.type === "whiteboard" && inObjectRange(p, board, BOARD_RANGE_PX) ? board : null;
+}
+
+// Whiteboard traffic goes to everyone within BOARD_RANGE_PX of the board
+function sendToBoard(room, board, type, payload, exceptWs = null) {
+  const nearBoard = room.grid
+    .queryRadius(board.x, board.y, BOARD_RANGE_PX)
+    .map((qid) => room.participants.get(qid))
+    .filter(Boolean);
+  sendToParticipants(type, payload, nearBoard, exceptWs);
+}
+
+// ---- Sessions (resumable identity across reconnects) ----
+/** @type {Map<string, Session>} */
+const sessions = new Map();
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {Participant} participant
+ * @property {Room} room
+ * @property {string | null} subject  authenticated subject, null for anonymous
+ * @property {import("ws").WebSocket | null} ws  null while in the grace window
+ * @property {NodeJS.Timeout | null} graceTimer
+ */
+
+function createSession(p, room, identity) {
+  const session = {
+    token: makeSessionToken(),
+    participant: p,
+    room,
+    subject: identity?.subject ?? null,
+    ws: null,
+    graceTimer: null,
+  };
+  sessions.set(session.token, session);
+  return session;
+}
+
+// The resume token from a `nexus.session.<token>` subprotocol, if one was offered
+function sessionTokenFromProtocols(header) {
+  const prefix = `${SOCKET_PROTOCOL}.session.`;
+  const offered = String(header ?? "").split(",").map((value) => value.trim());
+  return offered.find((value) => value.startsWith(prefix))?.slice(prefix.length) || null;
+}
+
+// A token only resumes for the same authenticated subject (or anonymous -> anonymous)
+function findResumableSession(token, identity) {
+  const session = token ? sessions.get(token) : null;
+  if (!session || session.subject !== (identity?.subject ?? null)) return null;
+  return session;
+}
+
+function attachSession(session, ws) {
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  delete session.participant.disconnectedAt;
+
+  // Same session on a second socket (e.g. half-open old connection): newest wins
+  const previous = session.ws;
+  session.ws = ws;
+  sockets.set(session.participant.id, ws);
+  if (previous && previous !== ws) {
+    try { previous.close(4000, "Session resumed elsewhere"); } catch {}
+  }
+}
+
+// Keep the participant in the room so a quick reconnect is invisible to others
+function suspendSession(session) {
+  session.ws = null;
+  sockets.delete(session.participant.id);
+  session.participant.disconnectedAt = now();
+  session.graceTimer = setTimeout(() => endSession(session), SESSION_GRACE_MS);
+}
+
+function endSession(session) {
+  clearTimeout(session.graceTimer);
+  sessions.delete(session.token);
+  const p = session.participant;
+  if (sockets.get(p.id) === session.ws) sockets.delete(p.id);
+  if (p.joined) saveProfile(p, session.room);
+  leaveRoom(session.ws, p, session.room);
+}
+
+// Drop a participant who stopped answering, with the same cleanup as leaving
+// (zone, pending moves, proximity). Their socket is closed without suspending
+// the session again.
+function evictParticipant(room, p) {
+  const session = Array.from(sessions.values()).find((s) => s.participant === p);
+  if (!session) {
+    leaveRoom(sockets.get(p.id) ?? null, p, room);
+    return;
+  }
+  const ws = session.ws;
+  endSession(session);
+  session.ws = null;
+  try { ws?.terminate(); } catch {}
+}
+
+// Inside a private zone your neighbours are exactly the other people in it;
+// outside one, it's everyone within PROXIMITY_RADIUS who isn't in a private zone
+function calcNearby(p, room) {
+  if (p.zoneId) {
+    return Array.from(room.zoneMembers.get(p.zoneId) ?? []).filter((qid) => qid !== p.id);
+  }
+  return room.grid
+    .queryRadius(p.x, p.y, PROXIMITY_RADIUS, p.id)
+    .filter((qid) => !room.participants.get(qid)?.zoneId);
+}
+
+function sendProximity(room, p) {
+  const ws = sockets.get(p.id);
+  if (!ws) return;
+  const zone = p.zoneId ? room.map.zones.find((z) => z.id === p.zoneId) : null;
+  send(ws, "proximity", {
+    selfId: p.id,
+    nearby: Array.from(p.nearby ?? []),
+    zone: zone ? { id: zone.id, name: zone.name } : null,
+  });
+}
+
+// ---- Chat history ----
+// Private zones have a channel each; everything else is the open-floor channel
+function chatChannel(p) {
+  return p.zoneId ? `zone:${p.zoneId}` : "proximity";
+}
+
+// One channel per pair, whoever writes first
+function dmChannel(aId, bId) {
+  return `dm:${[aId, bId].sort().join(":")}`;
+}
+
+// Everyone in a zone could hear everything said there, and announcements are for
+// the whole room. DMs are for the two people in them. On the open floor you can
+// read what you received, plus what the people now around you said to each other.
+function canReadChat(p, entry) {
+  if (entry.audience.has(p.id) || entry.channel === ANNOUNCEMENT_CHANNEL) return true;
+  if (entry.channel.startsWith("zone:")) return entry.channel === chatChannel(p);
+  if (entry.channel !== "proximity") return false;
+  const nearby = p.nearby ?? new Set();
+  if (!nearby.has(entry.senderId)) return false;
+  for (const qid of entry.audience) {
+    if (qid !== entry.senderId && nearby.has(qid)) return true;
+  }
+  return false;
+}
+
+// Mentions are picked by id on the client (names aren't unique and may contain
+// spaces); keep the ones whose @name is really in the text
+function resolveMentions(room, sender, text, ids) {
+  if (!Array.isArray(ids)) return [];
+  const mentions = [];
+  for (const qid of new Set(ids.slice(0, MAX_MENTIONS).map(String))) {
+    const q = room.participants.get(qid);
+    if (q && q.id !== sender.id && text.includes(`@${q.name}`)) mentions.push({ id: q.id, name: q.name });
+  }
+  return mentions;
+}
+
+// Mentioned people hear about it wherever they are, even out of range of the message
+function notifyMentions(entry, mentions) {
+  for (const { id } of mentions) {
+    const ws = sockets.get(id);
+    if (ws) send(ws, "mention", { message: toClientMessage(entry, id) });
+  }
+}
+
+// Edits, deletions and reactions go to everyone who can read the message
+function sendChatUpdate(room, entry) {
+  for (const q of room.participants.values()) {
+    const ws = sockets.get(q.id);
+    if (ws && canReadChat(q, entry)) send(ws, "chat_updated", { message: toClientMessage(entry, q.id) });
+  }
+}
+
+// ---- Attachments ----
+function sessionForRequest(req) {
+  const header = req.get("authorization") ?? "";
+  return header.startsWith("Bearer ") ? (sessions.get(header.slice(7)) ?? null) : null;
+}
+
+// The uploader, and the people the message it was sent with was delivered to. Not
+// canReadChat: that would also let in whoever walks up to the conversation later.
+function canAccessUpload(p, room, upload) {
+  if (upload.roomId !== room.id) return false;
+  if (upload.uploaderId === p.id) return true;
+  const entry = upload.messageId !== null ? room.chatLog.get(upload.messageId) : null;
+  return Boolean(entry && !entry.deleted && entry.audience.has(p.id));
+}
+
+// An upload p may attach to a message: theirs, in this room and not sent yet
+function claimableUpload(room, p, uploadId) {
+  const upload = uploads.get(String(uploadId ?? ""));
+  if (!upload || upload.uploaderId !== p.id || upload.roomId !== room.id || upload.messageId !== null) return null;
+  return upload;
+}
+
+async function removeUpload(upload) {
+  uploads.delete(upload.id);
+  await uploadStorage.remove(upload.id);
+}
+
+// Drop unsent uploads past UPLOAD_PENDING_TTL_MS and files whose message has left the chat log
+async function sweepUploads() {
+  const cutoff = now() - UPLOAD_PENDING_TTL_MS;
+  for (const upload of Array.from(uploads.values())) {
+    const expired = upload.messageId === null
+      ? upload.createdAt < cutoff
+      : !rooms.get(upload.roomId)?.chatLog.get(upload.messageId);
+    if (expired) await removeUpload(upload);
+  }
+}
+
+// Walking into a conversation: replay its recent messages we didn't get
+function sendChatCatchUp(room, p) {
+  const ws = sockets.get(p.id);
+  if (!ws) return;
+  const channel = chatChannel(p);
+  const { messages } = room.chatLog.page(
+    channel,
+    { since: now() - CATCH_UP_WINDOW_MS, limit: CATCH_UP_LIMIT },
+    (entry) => !entry.audience.has(p.id) && canReadChat(p, entry)
+  );
+  if (messages.length === 0) return;
+  send(ws, "chat_history", { scope: "nearby", channel, messages: messages.map((entry) => toClientMessage(entry, p.id)), catchUp: true });
+}
+
+// Recompute p's neighbours and push a refreshed `proximity` list to p and to
+// everyone who entered or left p's radius, so both sides see the change at once
+function updateProximity(room, p, { force = false } = {}) {
+  const previous = p.nearby ?? new Set();
+  const next = new Set(calcNearby(p, room));
+  const affected = [];
+
+  for (const qid of next) {
+    if (previous.has(qid)) continue;
+    const q = room.participants.get(qid);
+    if (!q) continue;
+    (q.nearby ??= new Set()).add(p.id);
+    affected.push(q);
+  }
+  for (const qid of previous) {
+    if (next.has(qid)) continue;
+    const q = room.participants.get(qid);
+    if (!q) continue;
+    q.nearby?.delete(p.id);
+    affected.push(q);
+  }
+
+  p.nearby = next;
+  if (force || affected.length > 0) sendProximity(room, p);
+  for (const q of affected) sendProximity(room, q);
+  if (Array.from(next).some((qid) => !previous.has(qid))) sendChatCatchUp(room, p);
+}
+
+// Drop p from everyone's proximity (on leave/eviction) and tell them
+function clearProximity(room, p) {
+  for (const qid of p.nearby ?? []) {
+    const q = room.participants.get(qid);
+    if (!q?.nearby?.delete(p.id)) continue;
+    sendProximity(room, q);
+  }
+  p.nearby = new Set();
+}
+
+function broadcast(room, type, payload, exceptWs = null) {
   const msg = JSON.stringify({ type, payload, ts: now() });
-  for (const client of wss.clients) {
+  for (const client of room.clients) {
     if (client.readyState === 1 /* OPEN */ && client !== exceptWs) {
       client.send(msg);
     }
   }
 }
 
+// ---- Interest management ----
+// Full-rate `moved` only for avatars near the viewer or inside its viewport;
+// far-away movement is coalesced per client and flushed as `moved_batch`.
+function isInterested(client, room, x, y) {
+  const viewer = room.participants.get(client._participantId);
+  if (viewer) {
+    const dx = viewer.x - x;
+    const dy = viewer.y - y;
+    if (dx*dx + dy*dy <= INTEREST_RADIUS*INTEREST_RADIUS) return true;
+  }
+
+  const v = client._viewport;
+  if (!v) return true;
+  return (
+    x >= v.x - VIEWPORT_MARGIN && x <= v.x + v.width + VIEWPORT_MARGIN &&
+    y >= v.y - VIEWPORT_MARGIN && y <= v.y + v.height + VIEWPORT_MARGIN
+  );
+}
+
+function broadcastMove(room, { id, x, y }, exceptWs = null) {
+  const msg = JSON.stringify({ type: "moved", payload: { id, x, y }, ts: now() });
+  for (const client of room.clients) {
+    if (client.readyState !== 1 || client === exceptWs) continue;
+    if (isInterested(client, room, x, y)) {
+      // A stale batched position must not overwrite this one later
+      client._farMoves.delete(id);
+      client.send(msg);
+    } else {
+      client._farMoves.set(id, { x, y });
+    }
+  }
+}
+
+function flushFarMoves() {
+  for (const room of rooms.values()) {
+    for (const client of room.clients) {
+      if (client._farMoves.size === 0) continue;
+      const updates = [];
+      for (const [id, pos] of client._farMoves) {
+        if (!room.participants.has(id)) continue;
+        updates.push({ id, x: pos.x, y: pos.y });
+        client._lastSent.set(id, pos);
+      }
+      client._farMoves.clear();
+      if (updates.length > 0) send(client, "moved_batch", { updates });
+    }
+  }
+}
+
+// ---- Tick loop (optional, TICK_RATE_HZ > 0) ----
+// Moves are collected per room and sent as one `tick` per client, carrying
+// only the fields that differ from what that client was last sent.
+function flushTick(room) {
+  if (room.pendingMoves.size === 0) return;
+  const seq = ++room.tickSeq;
+  const moves = Array.from(room.pendingMoves);
+  room.pendingMoves.clear();
+
+  for (const client of room.clients) {
+    if (client.readyState !== 1) continue;
+    const updates = [];
+    for (const [id, pos] of moves) {
+      if (id === client._participantId) continue; // the mover predicted it locally
+      if (!isInterested(client, room, pos.x, pos.y)) {
+        client._farMoves.set(id, pos);
+        continue;
+      }
+      client._farMoves.delete(id);
+
+      const last = client._lastSent.get(id);
+      const update = { id };
+      if (last?.x !== pos.x) update.x = pos.x;
+      if (last?.y !== pos.y) update.y = pos.y;
+      if (update.x === undefined && update.y === undefined) continue;
+      client._lastSent.set(id, pos);
+      updates.push(update);
+    }
+    if (updates.length > 0) send(client, "tick", { seq, updates });
+  }
+}
+
+// Positions sent outside ticks (state/joined/updated) invalidate the delta baseline
+function forgetSentPosition(room, id) {
+  for (const client of room.clients) client._lastSent.delete(id);
+}
+
 function send(ws, type, payload) {
   if (ws.readyState === 1) ws.send(JSON.stringify({ type, payload, ts: now() }));
 }
@@ -94,86 +897,288 @@ function sanitizeMessage(text) {
   return text
     .trim()
     .slice(0, MAX_MESSAGE_LENGTH)
-    .replace(/[<>]/g, '') // Remove potential HTML tags
-    .replace(/\s+/g, ' '); // Normalize whitespace
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .replace(/[\u0000-\u001f\u007f]/g, ''); // Drop control characters; clients escape the rest
 }
 
 // Get participants within proximity of a given participant
-function getProximityParticipants(sourceParticipant) {
-  const nearby = [];
-  for (const [id, participant] of participants) {
-    if (sourceParticipant.id === id) continue;
-    const dx = sourceParticipant.x - participant.x;
-    const dy = sourceParticipant.y - participant.y;
-    if (dx*dx + dy*dy <= PROXIMITY_RADIUS*PROXIMITY_RADIUS) {
-      nearby.push(participant);
-    }
-  }
-  return nearby;
+function getProximityParticipants(sourceParticipant, room) {
+  return calcNearby(sourceParticipant, room).map((id) => room.participants.get(id));
+}
+
+// Same rule as calcNearby, for a single pair
+function isWithinProximity(a, b) {
+  if (a.zoneId || b.zoneId) return a.zoneId === b.zoneId;
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return dx*dx + dy*dy <= PROXIMITY_RADIUS*PROXIMITY_RADIUS;
+}
+
+// Relay a WebRTC signaling message to a peer, only while both are in proximity
+function relaySignal(room, sender, type, payload) {
+  const target = room.participants.get(String(payload?.to ?? ""));
+  if (!target || target.id === sender.id) return false;
+  if (!isWithinProximity(sender, target)) return false;
+
+  const body = type === "rtc_ice" ? payload?.candidate : payload?.sdp;
+  if (!body || typeof body !== "object") return false;
+  if (JSON.stringify(body).length > MAX_SIGNAL_BYTES) return false;
+
+  const key = type === "rtc_ice" ? "candidate" : "sdp";
+  sendToParticipants(type, { from: sender.id, [key]: body }, [target]);
+  return true;
 }
 
 // Send message to specific participants
 function sendToParticipants(type, payload, targetParticipants, exceptWs = null) {
   const msg = JSON.stringify({ type, payload, ts: now() });
-  for (const client of wss.clients) {
-    if (client.readyState === 1 && client !== exceptWs) {
-      // Check if this client belongs to one of the target participants
-      const clientParticipant = Array.from(participants.values())
-        .find(p => client._participantId === p.id);
-      
-      if (clientParticipant && targetParticipants.some(p => p.id === clientParticipant.id)) {
-        client.send(msg);
-      }
+  for (const target of targetParticipants) {
+    const client = sockets.get(target.id);
+    if (client && client.readyState === 1 && client !== exceptWs) {
+      client.send(msg);
     }
   }
 }
 
 // ---- Message Protocol ----
+// Clients may connect to `/ws/:roomId` to pick a room up front; otherwise
+// they start in the default room and can switch with `join`.
+//
+// Sec-WebSocket-Protocol on the upgrade (the server selects SOCKET_PROTOCOL):
+//   nexus, nexus.session.<token>   token from a previous `welcome`; resumes that participant
+//             if it is still within SESSION_GRACE_MS (no left/joined is seen by others). Not a
+//             query parameter: the token also authorizes uploads, and URLs get copied and logged.
+//
+// Query parameters on the upgrade URL:
+//   token:    JWT checked by the auth hook (required when AUTH_REQUIRED is set)
+//
 // Client -> Server
-//   join:     { name?: string }
+//   join:     { name?: string, room?: string, profileId?: string,
+//               avatar?: { body, hair, outfit, color } }   (see avatars.js for the allowed parts)
+//   leave:    {}   (explicit disconnect, skips the grace window)
 //   move:     { x: number, y: number }
 //   rename:   { name: string }
+//   status:   { status: "available" | "busy" | "away" | "dnd" }   (saved in the profile)
+//   emote:    { emote: "wave" | "thumbs-up" | "heart" | "laugh" | "raise-hand", scope?: "proximity" | "room" }
+//   screen_share: { streamId: string | null }   (MediaStream.id of your screen share, null when it stops;
+//             sent before the screen's tracks are added to the peer connections)
+//   viewport: { x: number, y: number, width: number, height: number }   (visible world rect)
+//   object_create: { type: "note" | "portal" | "link", x: number, y: number, state: object }
+//             (within OBJECT_RANGE_PX of you, on open floor; see objects.js for each type's state)
+//   object_update: { id: string, x?: number, y?: number, state?: object }   (state fields are merged)
+//   object_delete: { id: string }
+//   object_use:    { id: string }   (step through a portal within range)
+//   board_open:    { id: string }   (fetch a whiteboard's strokes, within BOARD_RANGE_PX)
+//   board_stroke:  { id: string, stroke: { id, color, width }, points: [x, y][] }
+//             (a stroke is sent in chunks as it's drawn, all with the same stroke id, at most one
+//             chunk per BOARD_STROKE_RATE_LIMIT_MS; points are in the board's 960×600 space, and a
+//             board holds 20k points in all)
+//   board_undo:    { id: string }   (remove your own latest stroke)
+//   board_clear:   { id: string }
 //   ping:     {}
-//   chat:     { message: string }
+//   chat:     { message: string, mentions?: string[], attachment?: string }
+//             (message is a markdown subset: **bold**, *italic*, `code`, [label](url); mentions are the
+//             ids of people @named in it, each notified with `mention`; attachment is the id of your
+//             unsent upload from POST /uploads, and the message may then be empty)
+//   dm:       { to: string, message: string, attachment?: string }   (private message to anyone in the room)
+//   announce: { message: string, mentions?: string[] }   (to the whole room; moderators only)
+//   chat_edit:   { id: number, message: string, mentions?: string[] }
+//   chat_delete: { id: number }   (your own messages, within CHAT_EDIT_WINDOW_MS)
+//   react:    { id: number, emoji: string }   (toggles your reaction; one of REACTIONS)
+//   typing_start / typing_stop: {}   (while composing in your nearby conversation; resend start every
+//             few seconds to keep it alive, at most once per TYPING_RATE_LIMIT_MS)
+//   chat_seen: { upTo: number }   (you've had your nearby conversation on screen up to this id;
+//             batch receipts, at most one per CHAT_RATE_LIMIT_MS)
+//   chat_history: { scope?: "nearby" | "dm" | "announcements", with?: string, before?: number, limit?: number }
+//             (older messages of a conversation: "nearby" (default) is the one you're in now, "dm"
+//             the one with participant `with`; `before` is the oldest id you have)
+//   rtc_offer:  { to: string, sdp: RTCSessionDescriptionInit }
+//   rtc_answer: { to: string, sdp: RTCSessionDescriptionInit }
+//   rtc_ice:    { to: string, candidate: RTCIceCandidateInit }
 //
 // Server -> Client
-//   welcome:  { selfId: string, room: {width, height} }
-//   state:    { participants: Participant[] }
+//   welcome:  { selfId: string, room: {id, name, width, height, map}, sessionToken: string, resumed: boolean }
+//             map: { tileSize, cols, rows, layers: [{name, data, opacity, collision}], tiles: {gid: {name, color}},
+//                    spawns: [{x, y, width, height}], zones: [{id, name, x, y, width, height, properties}],
+//                    blocked: (0|1)[] }  (see maps/index.js)
+//   state:    { participants: Participant[], objects: RoomObject[] }
+//             Participant: { id, name, x, y, color, avatar, status, screenShare, moderator }
+//             RoomObject:  { id, type, x, y, state, owner, updatedAt }   (owner is a participant id)
 //   joined:   { participant: Participant }
-//   moved:    { id: string, x: number, y: number }
+//   moved:    { id: string, x: number, y: number }   (avatars near you or in your viewport)
+//   moved_batch: { updates: {id, x, y}[] }          (everyone else, every FAR_UPDATE_INTERVAL_MS)
+//   tick:     { seq: number, updates: {id, x?, y?}[] }  (replaces `moved` when TICK_RATE_HZ > 0;
+//             only fields that changed since the last tick are present)
+//   correction: { x: number, y: number, reason: "speed" | "blocked" | "teleport" }
+//             (your move was over MAX_SPEED_PX_PER_S or hit a wall, or you took a portal; this is where you are)
 //   renamed:  { id: string, name: string }
+//   status:   { id: string, status: string }
+//   emote:    { id: string, emote: string }   (to the sender's proximity, or the room with scope "room")
+//   screen_share: { id: string, streamId: string | null }   (who is sharing, to the whole room; only
+//             people in proximity actually receive the stream)
+//   updated:  { participant: Participant }   (profile restored on join: name, colour, position)
 //   left:     { id: string }
+//   object_created / object_updated: { object: RoomObject }
+//   object_deleted: { id: string }
+//   object_error: { id?: string, message: string }   (your object_* request was refused)
+//   board_state:   { id: string, strokes: {id, author, color, width, points}[] }   (reply to board_open)
+//   board_stroke:  { id: string, stroke: {id, author, color, width}, points: [x, y][] }
+//   board_undone:  { id: string, strokeId: string }
+//   board_cleared: { id: string }
+//             (board_* go to everyone within BOARD_RANGE_PX of the board; clients apply them
+//             to the board they have open and fetch it again with board_open next time)
 //   pong:     {}
-//   proximity: { selfId: string, nearby: string[] }
-//   chat:     { senderId: string, senderName: string, message: string, timestamp: number }
+//   proximity: { selfId: string, nearby: string[], zone: {id, name} | null }
+//             (sent to everyone whose neighbours changed; `zone` is the private zone you're in,
+//             whose occupants are then exactly `nearby`)
+//   chat:     ChatMessage: { id: number, channel: string, senderId: string, senderName: string, message: string,
+//                            timestamp: number, mentions: {id, name}[], reactions: {[emoji]: string[]},
+//                            seenBy: string[], editedAt?: number, deleted?: boolean,
+//                            attachment?: {id, name, type, size} }
+//             (in history, catch-up, updates and mentions for someone the message wasn't
+//             delivered to, the attachment is {name, type, size, restricted: true}, with no id)
+//             (ids increase per room; channel is "proximity" or "zone:<zoneId>"; message is raw text,
+//             to be escaped by the client)
+//   chat_updated: { message: ChatMessage }   (edited, deleted or reacted to; to everyone who can read it)
+//   mention:  { message: ChatMessage }   (you were @mentioned, wherever you are)
+//   typing_start / typing_stop: { id: string }   (someone in your proximity; forget a start
+//             after a few seconds without a refresh)
+//   chat_seen: { id: string, channel: string, messageIds: number[] }   (id has now seen these messages;
+//             to their proximity and the messages' senders. ChatMessage.seenBy has the full list)
+//   dm:       { id, channel: "dm:<id>:<id>", senderId, senderName, to: string, message, timestamp }
+//             (to both ends of the conversation)
+//   announcement: { id, channel: "announcements", senderId, senderName, message, timestamp }
+//   chat_error: { message: string }   (your chat, dm or announce was refused)
+//   chat_history: { scope: string, channel: string, with?: string, messages: ChatMessage[],
+//                   hasMore?: boolean, catchUp?: boolean }
+//             (reply to chat_history, oldest first; also sent unasked with scope "nearby" and catchUp
+//             when you walk into a conversation, carrying its recent messages you missed)
+//   rtc_offer / rtc_answer: { from: string, sdp: RTCSessionDescriptionInit }
+//   rtc_ice:  { from: string, candidate: RTCIceCandidateInit }
+//
+// HTTP, for chat attachments (the session token from `welcome` identifies you):
+//   POST /uploads  body: the file, Content-Type: its type, X-File-Name: URI-encoded name,
+//                  Authorization: Bearer <sessionToken>  -> 201 { upload: {id, name, type, size} }
+//             (png, jpeg, gif, webp, pdf or plain text up to MAX_UPLOAD_BYTES; 413 / 415 / 429 otherwise)
+//   GET /uploads/:id  Authorization: Bearer <sessionToken>
+//             (the uploader, and the recipients of the message it was sent with; 404 for anyone else)
+//
+// Notes can be edited or removed by anyone in range; portals and links only by their
+// owner, or by anyone in range once the owner has left the room.
+//
+// rtc_* messages are only relayed while sender and target are within PROXIMITY_RADIUS,
+// or in the same private zone (see calcNearby).
 
 // ---- WebSocket lifecycle ----
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
+  const identity = req.identity ?? null;
+  const sessionToken = sessionTokenFromProtocols(req.headers["sec-websocket-protocol"]);
+
   // Per-connection context
-  let id = makeId();
+  let session = findResumableSession(sessionToken, identity);
+  let room;
+  let p;
   let lastMoveAt = 0;
   let lastChatAt = 0; // Rate limiting for chat
+  let lastDmAt = 0;
+  let lastAnnounceAt = 0;
+  let lastReactAt = 0;
+  let lastTypingAt = 0;
+  let typingRelayed = false; // a typing_start went out that no stop or chat has ended yet
+  let lastSeenAt = 0;
+  let lastEmoteAt = 0;
+  let lastObjectAt = 0;
+  let lastStrokeAt = 0;
   ws.isAlive = true;
-  ws._participantId = id; // Store participant ID on WebSocket for message routing
 
-  // Provisional participant (until 'join')
-  const spawn = randomSpawn();
-  const p = {
-    id,
-    name: `Guest-${String(id).slice(0, 5)}`,
-    x: spawn.x,
-    y: spawn.y,
-    color: randomColor(),
-    lastSeen: now(),
+  if (session) {
+    // Resume: same id, name, colour and position; others only notice if we were evicted
+    p = session.participant;
+    room = rooms.get(session.room.id) || getOrCreateRoom(session.room.id);
+    session.room = room;
+    p.lastSeen = now();
+  } else {
+    // Provisional participant (until 'join')
+    room = getOrCreateRoom(roomIdFromUrl(req.url)) || rooms.get(DEFAULT_ROOM_ID);
+    const newId = makeId();
+    const spawn = randomSpawn(room);
+    const avatar = randomAvatar();
+    p = {
+      id: newId,
+      name: `Guest-${String(newId).slice(0, 5)}`,
+      x: spawn.x,
+      y: spawn.y,
+      color: avatar.color,
+      avatar,
+      status: "available",
+      moderator: identity?.moderator === true,
+      lastSeen: now(),
+      lastPlacedAt: now(),
+    };
+    session = createSession(p, room, identity);
+  }
+
+  const id = p.id;
+  ws._participantId = id; // Store participant ID on WebSocket for interest checks
+  ws._sessionToken = session.token;
+  ws._viewport = null; // whole room until the client reports a viewport
+  ws._farMoves = new Map(); // id -> latest {x, y}, flushed as moved_batch
+  ws._lastSent = new Map(); // id -> {x, y} last sent in a tick, the delta baseline
+  const resumed = p.joined === true;
+  const announce = !room.participants.has(id);
+  attachSession(session, ws);
+  enterRoom(ws, p, room, { announce, resumed });
+
+  // Switching rooms re-sends welcome + state and announces the updated participant
+  const switchRoom = (nextRoom, position) => {
+    if (p.joined) saveProfile(p, room);
+    leaveRoom(ws, p, room);
+    room = nextRoom;
+    session.room = room;
+    placeParticipant(room, p, position);
+    enterRoom(ws, p, room);
   };
-  participants.set(id, p);
 
-  // Greet new client with their identity + full state
-  send(ws, "welcome", { selfId: id, room: ROOM });
-  send(ws, "state", { participants: Array.from(participants.values()).map(toClientParticipant) });
+  // Load the stored profile (if any), then apply name/colour/room/position
+  const handleJoin = async (payload) => {
+    const profileId = identity
+      ? profileIdForSubject(identity.subject)
+      : normalizeProfileId(payload?.profileId);
+    const profile = profileId ? await store.getUser(profileId) : null;
+    if (ws.readyState !== 1) return; // socket went away while loading
+
+    const name = String(payload?.name ?? "").trim();
+    if (name) p.name = name.slice(0, 32);
+    else if (profile?.name) p.name = profile.name;
+    else if (identity?.name) p.name = identity.name.slice(0, 32);
+    if (profileId && profileId !== p.profileId) {
+      p.profileId = profileId;
+      p.positions = profile?.positions ?? {};
+      if (profile?.color) p.color = profile.color;
+      const savedAvatar = normalizeAvatar(profile?.avatar);
+      if (savedAvatar) p.avatar = savedAvatar;
+      if (STATUSES.includes(profile?.status)) p.status = profile.status;
+    }
+    // A pick from the avatar picker beats the saved one
+    const avatar = normalizeAvatar(payload?.avatar);
+    if (avatar) p.avatar = avatar;
+    p.color = p.avatar.color;
 
-  // Notify others
-  broadcast("joined", { participant: toClientParticipant(p) }, ws);
+    const nextRoom = payload?.room ? getOrCreateRoom(payload.room) : null;
+    if (nextRoom && nextRoom !== room) {
+      switchRoom(nextRoom, spawnPoint(p, nextRoom));
+    } else {
+      if (!p.joined) placeParticipant(room, p, spawnPoint(p, room));
+      // Echo back the corrected participant (e.g., truncated name)
+      send(ws, "state", toRoomState(room));
+      ws._lastSent.clear();
+      forgetSentPosition(room, p.id);
+      broadcast(room, "updated", { participant: toClientParticipant(p) }, ws);
+    }
+
+    p.joined = true;
+    saveProfile(p, room);
+  };
 
   ws.on("message", (data) => {
     try {
@@ -183,14 +1188,7 @@ wss.on("connection", (ws) => {
 
       switch (type) {
         case "join": {
-          const name = String(payload?.name ?? "").trim();
-          if (name) {
-            p.name = name.slice(0, 32);
-            participants.set(id, p);
-            // Echo back the corrected participant (e.g., truncated name)
-            send(ws, "state", { participants: Array.from(participants.values()).map(toClientParticipant) });
-            broadcast("renamed", { id, name: p.name }, ws);
-          }
+          handleJoin(payload).catch((e) => console.error("Error handling join:", e));
           break;
         }
         case "move": {
@@ -200,13 +1198,30 @@ wss.on("connection", (ws) => {
           let x = Number(payload?.x);
           let y = Number(payload?.y);
           if (!Number.isFinite(x) || !Number.isFinite(y)) break;
-          x = clamp(Math.round(x), 0, ROOM.width);
-          y = clamp(Math.round(y), 0, ROOM.height);
+          x = clamp(Math.round(x), 0, room.width);
+          y = clamp(Math.round(y), 0, room.height);
           if (x === p.x && y === p.y) break;
-          p.x = x; p.y = y;
-          participants.set(id, p);
-          broadcast("moved", { id, x, y }, ws);
-          sendProximity(ws, p);
+
+          // Too fast or through a wall: accept what's legal and tell the client
+          const validated = validateMove(room, p, x, y, t);
+          if (validated.reason) {
+            send(ws, "correction", { x: validated.x, y: validated.y, reason: validated.reason });
+            ({ x, y } = validated);
+            if (x === p.x && y === p.y) break;
+          }
+
+          if (TICK_RATE_HZ > 0) room.pendingMoves.set(id, { x, y });
+          else broadcastMove(room, { id, x, y }, ws);
+          placeParticipant(room, p, { x, y });
+          break;
+        }
+        case "viewport": {
+          const x = Number(payload?.x);
+          const y = Number(payload?.y);
+          const width = Number(payload?.width);
+          const height = Number(payload?.height);
+          if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) break;
+          ws._viewport = { x, y, width, height };
           break;
         }
         case "rename": {
@@ -215,15 +1230,180 @@ wss.on("connection", (ws) => {
           const newName = name.slice(0, 32);
           if (newName !== p.name) {
             p.name = newName;
-            participants.set(id, p);
-            broadcast("renamed", { id, name: p.name });
+            broadcast(room, "renamed", { id, name: p.name });
+            saveProfile(p, room);
+          }
+          break;
+        }
+        case "status": {
+          const status = String(payload?.status ?? "");
+          if (!STATUSES.includes(status) || status === p.status) break;
+          p.status = status;
+          broadcast(room, "status", { id, status });
+          saveProfile(p, room);
+          break;
+        }
+        case "screen_share": {
+          // Only the announcement goes through here; the screen itself rides the proximity mesh
+          const streamId = payload?.streamId == null ? null : String(payload.streamId);
+          if (streamId !== null && !STREAM_ID_PATTERN.test(streamId)) break;
+          if (streamId === (p.screenShare ?? null)) break;
+          p.screenShare = streamId;
+          broadcast(room, "screen_share", { id, streamId });
+          break;
+        }
+        case "emote": {
+          const t = now();
+          if (t - lastEmoteAt < EMOTE_RATE_LIMIT_MS) break;
+          const emote = String(payload?.emote ?? "");
+          if (!EMOTES.includes(emote)) break;
+          lastEmoteAt = t;
+          // Proximity by default; the sender sees their own emote either way
+          if (payload?.scope === "room") {
+            broadcast(room, "emote", { id, emote });
+          } else {
+            sendToParticipants("emote", { id, emote }, [p, ...getProximityParticipants(p, room)]);
+          }
+          break;
+        }
+        case "object_create": {
+          const t = now();
+          if (t - lastObjectAt < OBJECT_RATE_LIMIT_MS) break;
+          lastObjectAt = t;
+          if (room.objects.size >= MAX_OBJECTS_PER_ROOM) {
+            send(ws, "object_error", { message: "This room can't hold any more objects" });
+            break;
+          }
+          if (
+            payload?.type === "whiteboard" &&
+            Array.from(room.objects.values()).filter((o) => o.type === "whiteboard").length >= MAX_WHITEBOARDS_PER_ROOM
+          ) {
+            send(ws, "object_error", { message: "This room can't hold any more whiteboards" });
+            break;
+          }
+          const x = Math.round(Number(payload?.x));
+          const y = Math.round(Number(payload?.y));
+          if (!isObjectSpot(room, p, x, y)) {
+            send(ws, "object_error", { message: "Objects go on open floor next to you" });
+            break;
+          }
+          const object = createObject({ type: payload?.type, x, y, state: payload?.state }, id, { normalizeRoomId });
+          if (!object) {
+            send(ws, "object_error", { message: "Invalid object" });
+            break;
+          }
+          room.objects.set(object.id, object);
+          broadcast(room, "object_created", { object: toClientObject(object) });
+          break;
+        }
+        case "object_update": {
+          const t = now();
+          if (t - lastObjectAt < OBJECT_RATE_LIMIT_MS) break;
+          lastObjectAt = t;
+          const object = room.objects.get(String(payload?.id ?? ""));
+          if (!object) break;
+          if (!inObjectRange(p, object) || !canEditObject(room, p, object)) {
+            send(ws, "object_error", { id: object.id, message: "You can't edit that from here" });
+            break;
+          }
+          const x = payload.x === undefined ? object.x : Math.round(Number(payload.x));
+          const y = payload.y === undefined ? object.y : Math.round(Number(payload.y));
+          if ((x !== object.x || y !== object.y) && !isObjectSpot(room, p, x, y)) {
+            send(ws, "object_error", { id: object.id, message: "Objects go on open floor next to you" });
+            break;
+          }
+          // State changes are merged, so an edit only needs the fields it touches
+          const state = payload.state
+            ? normalizeObjectState(object.type, { ...object.state, ...payload.state }, { normalizeRoomId })
+            : object.state;
+          if (!state) {
+            send(ws, "object_error", { id: object.id, message: "Invalid object" });
+            break;
+          }
+          Object.assign(object, { x, y, state, updatedAt: t });
+          broadcast(room, "object_updated", { object: toClientObject(object) });
+          break;
+        }
+        case "object_delete": {
+          const object = room.objects.get(String(payload?.id ?? ""));
+          if (!object) break;
+          if (!inObjectRange(p, object) || !canEditObject(room, p, object)) {
+            send(ws, "object_error", { id: object.id, message: "You can't remove that from here" });
+            break;
           }
+          room.objects.delete(object.id);
+          broadcast(room, "object_deleted", { id: object.id });
+          break;
+        }
+        case "object_use": {
+          const object = room.objects.get(String(payload?.id ?? ""));
+          if (object?.type !== "portal" || !inObjectRange(p, object)) break;
+          const targetRoom = object.state.room ? getOrCreateRoom(object.state.room) : room;
+          if (!targetRoom) break;
+          const destination = portalDestination(targetRoom, p, object.state);
+          if (targetRoom !== room) {
+            switchRoom(targetRoom, destination);
+            break;
+          }
+          // Same room: a jump everyone sees, and a correction so our client stops walking
+          if (TICK_RATE_HZ > 0) room.pendingMoves.set(id, destination);
+          else broadcastMove(room, { id, ...destination }, ws);
+          placeParticipant(room, p, destination);
+          send(ws, "correction", { ...destination, reason: "teleport" });
+          break;
+        }
+        case "board_open": {
+          const board = boardInReach(room, p, payload?.id);
+          if (board) send(ws, "board_state", { id: board.id, strokes: board.strokes });
+          break;
+        }
+        case "board_stroke": {
+          const t = now();
+          if (t - lastStrokeAt < BOARD_STROKE_RATE_LIMIT_MS) break;
+          lastStrokeAt = t;
+          const board = boardInReach(room, p, payload?.id);
+          const chunk = board && normalizeStrokeChunk(payload?.stroke, payload?.points);
+          if (!chunk) break;
+          const added = appendStroke(board, chunk, id);
+          if (!added) {
+            send(ws, "object_error", { id: board.id, message: "This whiteboard is full" });
+            break;
+          }
+          if (added.length === 0) break;
+          const stroke = { id: chunk.id, author: id, color: chunk.color, width: chunk.width };
+          sendToBoard(room, board, "board_stroke", { id: board.id, stroke, points: added }, ws);
+          break;
+        }
+        case "board_undo": {
+          // Takes back the sender's own latest stroke
+          const t = now();
+          if (t - lastObjectAt < OBJECT_RATE_LIMIT_MS) break;
+          lastObjectAt = t;
+          const board = boardInReach(room, p, payload?.id);
+          const index = board ? board.strokes.findLastIndex((stroke) => stroke.author === id) : -1;
+          if (index < 0) break;
+          const [removed] = board.strokes.splice(index, 1);
+          sendToBoard(room, board, "board_undone", { id: board.id, strokeId: removed.id });
+          break;
+        }
+        case "board_clear": {
+          const t = now();
+          if (t - lastObjectAt < OBJECT_RATE_LIMIT_MS) break;
+          lastObjectAt = t;
+          const board = boardInReach(room, p, payload?.id);
+          if (!board || board.strokes.length === 0) break;
+          board.strokes = [];
+          sendToBoard(room, board, "board_cleared", { id: board.id });
           break;
         }
         case "ping": {
           send(ws, "pong", {});
           break;
         }
+        case "leave": {
+          ws._leaving = true;
+          break;
+        }
         case "chat": {
           const currentTime = now();
           
@@ -234,25 +1414,27 @@ wss.on("connection", (ws) => {
           }
           lastChatAt = currentTime;
           
-          // Validate and sanitize message
-          const rawMessage = payload?.message;
-          if (!rawMessage) break;
-          
-          const sanitizedMessage = sanitizeMessage(rawMessage);
-          if (!sanitizedMessage || sanitizedMessage.length === 0) {
+          // Validate and sanitize message; with an attachment the text may be empty
+          const upload = payload?.attachment ? claimableUpload(room, p, payload.attachment) : null;
+          if (payload?.attachment && !upload) {
+            send(ws, "chat_error", { message: "That upload is no longer available" });
+            break;
+          }
+          const sanitizedMessage = sanitizeMessage(payload?.message);
+          if (!sanitizedMessage && !upload) {
             console.log(`Empty or invalid message from participant ${id}`);
             break;
           }
           
           // Get current participant state
-          const sender = participants.get(id);
+          const sender = room.participants.get(id);
           if (!sender) {
             console.log(`Sender participant ${id} not found`);
             break;
           }
           
           // Find participants in proximity
-          const nearbyParticipants = getProximityParticipants(sender);
+          const nearbyParticipants = getProximityParticipants(sender, room);
           
           if (nearbyParticipants.length === 0) {
             console.log(`No nearby participants for ${id} to chat with`);
@@ -263,20 +1445,193 @@ wss.on("connection", (ws) => {
           
           console.log(`Broadcasting chat from ${sender.name} to ${nearbyParticipants.length} nearby participants`);
           
-          // Create chat message payload
-          const chatPayload = {
-            senderId: sender.id,
-            senderName: sender.name,
-            message: sanitizedMessage,
-            timestamp: currentTime
-          };
-          
-          // Send to nearby participants (including sender for feedback)
+          // Log it for scrollback, then send to nearby participants (including sender for feedback)
           const allTargets = [sender, ...nearbyParticipants];
-          sendToParticipants("chat", chatPayload, allTargets);
+          const mentions = resolveMentions(room, sender, sanitizedMessage, payload?.mentions);
+          const entry = room.chatLog.append(
+            chatChannel(sender),
+            {
+              senderId: sender.id,
+              senderName: sender.name,
+              message: sanitizedMessage,
+              timestamp: currentTime,
+              mentions,
+              ...(upload && { attachment: toClientAttachment(upload) }),
+            },
+            allTargets.map((target) => target.id)
+          );
+          if (upload) upload.messageId = entry.id;
+          typingRelayed = false; // the message itself clears the indicator
+          sendToParticipants("chat", toClientMessage(entry), allTargets);
+          notifyMentions(entry, mentions);
           
           break;
         }
+        case "dm": {
+          const t = now();
+          if (t - lastDmAt < DM_RATE_LIMIT_MS) break;
+          lastDmAt = t;
+          const upload = payload?.attachment ? claimableUpload(room, p, payload.attachment) : null;
+          if (payload?.attachment && !upload) {
+            send(ws, "chat_error", { message: "That upload is no longer available" });
+            break;
+          }
+          const message = sanitizeMessage(payload?.message);
+          if (!message && !upload) break;
+          const to = room.participants.get(String(payload?.to ?? ""));
+          if (!to || to.id === id) {
+            send(ws, "chat_error", { message: "That person is no longer in this room" });
+            break;
+          }
+          const entry = room.chatLog.append(
+            dmChannel(id, to.id),
+            {
+              senderId: id,
+              senderName: p.name,
+              to: to.id,
+              message,
+              timestamp: t,
+              ...(upload && { attachment: toClientAttachment(upload) }),
+            },
+            [id, to.id]
+          );
+          if (upload) upload.messageId = entry.id;
+          sendToParticipants("dm", toClientMessage(entry), [p, to]);
+          break;
+        }
+        case "announce": {
+          if (!p.moderator) {
+            send(ws, "chat_error", { message: "Only moderators can post announcements" });
+            break;
+          }
+          const t = now();
+          if (t - lastAnnounceAt < ANNOUNCE_RATE_LIMIT_MS) {
+            send(ws, "chat_error", { message: "Please wait before posting another announcement" });
+            break;
+          }
+          const message = sanitizeMessage(payload?.message);
+          if (!message) break;
+          lastAnnounceAt = t;
+          const mentions = resolveMentions(room, p, message, payload?.mentions);
+          const entry = room.chatLog.append(
+            ANNOUNCEMENT_CHANNEL,
+            { senderId: id, senderName: p.name, message, timestamp: t, mentions },
+            room.participants.keys()
+          );
+          broadcast(room, "announcement", toClientMessage(entry));
+          notifyMentions(entry, mentions);
+          break;
+        }
+        case "chat_edit":
+        case "chat_delete": {
+          const t = now();
+          if (t - lastChatAt < CHAT_RATE_LIMIT_MS) break;
+          const entry = room.chatLog.get(Number(payload?.id));
+          if (!entry || entry.deleted || entry.senderId !== id) break;
+          if (t - entry.timestamp > CHAT_EDIT_WINDOW_MS) {
+            send(ws, "chat_error", { message: "Messages can only be changed for 5 minutes" });
+            break;
+          }
+          lastChatAt = t;
+          if (type === "chat_delete") {
+            const upload = entry.attachment && uploads.get(entry.attachment.id);
+            if (upload) removeUpload(upload).catch((e) => console.error("Error removing upload:", e));
+            Object.assign(entry, { deleted: true, message: "", mentions: [], reactions: {}, attachment: undefined });
+          } else {
+            const message = sanitizeMessage(payload?.message);
+            if ((!message && !entry.attachment) || message === entry.message) break;
+            // Only people newly mentioned by the edit are notified
+            const mentions = entry.channel.startsWith("dm:") ? [] : resolveMentions(room, p, message, payload?.mentions);
+            const added = mentions.filter((m) => !entry.mentions.some((old) => old.id === m.id));
+            Object.assign(entry, { message, mentions, editedAt: t });
+            notifyMentions(entry, added);
+          }
+          sendChatUpdate(room, entry);
+          break;
+        }
+        case "typing_start":
+        case "typing_stop": {
+          // Relayed to p's conversation; clients expire a start that isn't refreshed. A stop
+          // only goes out after a start did, so alternating the two can't dodge the limit.
+          if (type === "typing_start") {
+            const t = now();
+            if (t - lastTypingAt < TYPING_RATE_LIMIT_MS) break;
+            lastTypingAt = t;
+            typingRelayed = true;
+          } else {
+            if (!typingRelayed) break;
+            typingRelayed = false;
+          }
+          sendToParticipants(type, { id }, getProximityParticipants(p, room));
+          break;
+        }
+        case "chat_seen": {
+          // One receipt covers everything in p's conversation up to `upTo`
+          const t = now();
+          if (t - lastSeenAt < SEEN_RATE_LIMIT_MS) break;
+          const upTo = Number(payload?.upTo);
+          if (!Number.isFinite(upTo)) break;
+          lastSeenAt = t;
+          const channel = chatChannel(p);
+          const messageIds = room.chatLog.markSeen(channel, id, upTo, (entry) => canReadChat(p, entry));
+          if (messageIds.length === 0) break;
+          // The people around p, and whoever wrote the messages wherever they are now
+          const recipients = new Map(getProximityParticipants(p, room).map((q) => [q.id, q]));
+          for (const messageId of messageIds) {
+            const sender = room.participants.get(room.chatLog.get(messageId).senderId);
+            if (sender) recipients.set(sender.id, sender);
+          }
+          sendToParticipants("chat_seen", { id, channel, messageIds }, Array.from(recipients.values()));
+          break;
+        }
+        case "react": {
+          // Toggles your reaction
+          const t = now();
+          if (t - lastReactAt < REACTION_RATE_LIMIT_MS) break;
+          lastReactAt = t;
+          const entry = room.chatLog.get(Number(payload?.id));
+          const emoji = payload?.emoji;
+          if (!entry || entry.deleted || !REACTIONS.includes(emoji) || !canReadChat(p, entry)) break;
+          const reactors = entry.reactions[emoji] ?? [];
+          entry.reactions[emoji] = reactors.includes(id) ? reactors.filter((qid) => qid !== id) : [...reactors, id];
+          if (entry.reactions[emoji].length === 0) delete entry.reactions[emoji];
+          sendChatUpdate(room, entry);
+          break;
+        }
+        case "chat_history": {
+          // Scrollback for one of p's conversations, newest page first
+          const scope = payload?.scope ?? "nearby";
+          const peerId = String(payload?.with ?? "");
+          let channel;
+          if (scope === "nearby") channel = chatChannel(p);
+          else if (scope === "announcements") channel = ANNOUNCEMENT_CHANNEL;
+          else if (scope === "dm" && peerId && peerId !== id) channel = dmChannel(id, peerId);
+          else break;
+
+          const before = Number(payload?.before);
+          const limit = clamp(Math.floor(Number(payload?.limit)) || CHAT_HISTORY_PAGE, 1, CHAT_HISTORY_PAGE);
+          const { messages, hasMore } = room.chatLog.page(
+            channel,
+            { before: Number.isFinite(before) ? before : Infinity, limit },
+            (entry) => canReadChat(p, entry)
+          );
+          send(ws, "chat_history", {
+            scope,
+            channel,
+            ...(scope === "dm" && { with: peerId }),
+            messages: messages.map((entry) => toClientMessage(entry, p.id)),
+            hasMore,
+          });
+          break;
+        }
+        case "rtc_offer":
+        case "rtc_answer":
+        case "rtc_ice": {
+          if (!relaySignal(room, p, type, payload)) {
+            console.log(`Dropped ${type} from ${id} to ${payload?.to}`);
+          }
+          break;
+        }
         default:
           // ignore unknown messages in MVP
           break;
@@ -292,8 +1647,10 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
-    participants.delete(id);
-    broadcast("left", { id });
+    room.clients.delete(ws);
+    if (session.ws !== ws) return; // replaced by a newer connection for the same session
+    if (ws._leaving) endSession(session);
+    else suspendSession(session);
   });
 
   ws.on("error", () => {
@@ -327,16 +1684,47 @@ const interval = setInterval(() => {
 
   // Also evict ghost participants that somehow lingered
   const cutoff = now() - CONNECTION_TTL_MS;
-  for (const [id, p] of participants) {
-    if (p.lastSeen < cutoff) {
-      console.log(`Removing ghost participant: ${id}`);
-      participants.delete(id);
-      broadcast("left", { id });
+  for (const room of rooms.values()) {
+    for (const [id, p] of room.participants) {
+      if (p.lastSeen < cutoff && !p.disconnectedAt) {
+        console.log(`Removing ghost participant: ${id} (room ${room.id})`);
+        evictParticipant(room, p);
+      }
     }
   }
 }, HEARTBEAT_INTERVAL_MS);
 
-wss.on("close", () => clearInterval(interval));
+const farMovesInterval = setInterval(flushFarMoves, FAR_UPDATE_INTERVAL_MS);
+const tickInterval = TICK_RATE_HZ > 0
+  ? setInterval(() => rooms.forEach(flushTick), 1000 / TICK_RATE_HZ)
+  : null;
+const uploadSweepInterval = setInterval(() => {
+  sweepUploads().catch((e) => console.error("Error sweeping uploads:", e));
+}, UPLOAD_SWEEP_INTERVAL_MS);
+
+wss.on("close", () => {
+  clearInterval(interval);
+  clearInterval(farMovesInterval);
+  clearInterval(tickInterval);
+  clearInterval(uploadSweepInterval);
+});
+
+// ---- Shutdown (persist everyone still connected) ----
+async function shutdown(signal) {
+  console.log(`${signal} received, saving profiles...`);
+  const saves = [];
+  for (const room of rooms.values()) {
+    for (const p of room.participants.values()) {
+      if (p.joined) saves.push(saveProfile(p, room));
+    }
+  }
+  await Promise.all(saves);
+  await store.close();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
 server.listen(PORT, () => {
   console.log(`⚡ Futuristic Nexus WS server listening on :${PORT}`);
@@ -0,0 +1,93 @@
+// Uniform grid over room coordinates. With cellSize >= the query radius a
+// radius query only touches a 3x3 block of cells, so proximity lookups cost
+// O(local density) instead of O(everyone in the room).
+export class SpatialGrid {
+  /** @param {number} cellSize  px, use the largest radius you will query with */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    /** @type {Map<number, Set<string>>} */
+    this.cells = new Map();
+    /** @type {Map<string, {x: number, y: number, key: number}>} */
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Rooms are clamped to non-negative coordinates, so (cx, cy) packs into one number
+  cellKey(cx, cy) {
+    return cx * 65536 + cy;
+  }
+
+  keyFor(x, y) {
+    return this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+  }
+
+  /** Insert or move an entry */
+  update(id, x, y) {
+    const key = this.keyFor(x, y);
+    let entry = this.entries.get(id);
+    if (entry) {
+      entry.x = x;
+      entry.y = y;
+      if (entry.key === key) return;
+      this.removeFromCell(id, entry.key);
+      entry.key = key;
+    } else {
+      entry = { x, y, key };
+      this.entries.set(id, entry);
+    }
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(id);
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.entries.delete(id);
+    this.removeFromCell(id, entry.key);
+    return true;
+  }
+
+  removeFromCell(id, key) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  /**
+   * Ids within `radius` (inclusive) of (x, y)
+   * @param {string | null} [exceptId]  usually the querying participant
+   * @returns {string[]}
+   */
+  queryRadius(x, y, radius, exceptId = null) {
+    const result = [];
+    const r2 = radius * radius;
+    const minCx = Math.floor((x - radius) / this.cellSize);
+    const maxCx = Math.floor((x + radius) / this.cellSize);
+    const minCy = Math.floor((y - radius) / this.cellSize);
+    const maxCy = Math.floor((y + radius) / this.cellSize);
+
+    for (let cx = Math.max(0, minCx); cx <= maxCx; cx++) {
+      for (let cy = Math.max(0, minCy); cy <= maxCy; cy++) {
+        const cell = this.cells.get(this.cellKey(cx, cy));
+        if (!cell) continue;
+        for (const id of cell) {
+          if (id === exceptId) continue;
+          const entry = this.entries.get(id);
+          const dx = entry.x - x;
+          const dy = entry.y - y;
+          if (dx*dx + dy*dy <= r2) result.push(id);
+        }
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,26 @@
+import { JsonFileStore } from "./jsonFileStore.js";
+import { MongoStore } from "./mongoStore.js";
+
+/**
+ * Every adapter implements the same async interface:
+ *   init(), close()
+ *   getUser(id), saveUser(user)     user:  { id, name, color, lastRoomId, positions }
+ *
+ * Selected from the environment:
+ *   MONGODB_URI (+ MONGODB_DB)  -> MongoStore
+ *   STORE_FILE=":memory:"       -> JsonFileStore without a file
+ *   otherwise                   -> JsonFileStore at STORE_FILE (default ./data/nexus.json)
+ */
+export async function createStore(env = process.env) {
+  let store;
+  if (env.MONGODB_URI) {
+    store = new MongoStore({ uri: env.MONGODB_URI, dbName: env.MONGODB_DB || "nexus" });
+  } else {
+    const filePath = env.STORE_FILE ?? "./data/nexus.json";
+    store = new JsonFileStore({ filePath: filePath === ":memory:" ? null : filePath });
+  }
+  await store.init();
+  return store;
+}
+
+export { JsonFileStore, MongoStore };
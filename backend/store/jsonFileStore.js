@@ -0,0 +1,65 @@
+import fs from "fs/promises";
+import path from "path";
+
+// In-memory store for local dev, optionally mirrored to a JSON file.
+// Writes are debounced so a burst of saves (e.g. everyone leaving) hits disk once.
+export class JsonFileStore {
+  /**
+   * @param {{ filePath?: string | null, flushDelayMs?: number }} [options]
+   *   filePath null keeps everything in memory only
+   */
+  constructor({ filePath = null, flushDelayMs = 500 } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.flushDelayMs = flushDelayMs;
+    this.users = new Map();
+    this.flushTimer = null;
+  }
+
+  async init() {
+    if (!this.filePath) return;
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const user of data.users ?? []) this.users.set(user.id, user);
+      console.log(`Loaded ${this.users.size} profiles from ${this.filePath}`);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+
+  async getUser(id) {
+    return this.users.get(id) ?? null;
+  }
+
+  async saveUser(user) {
+    this.users.set(user.id, { ...this.users.get(user.id), ...user, updatedAt: Date.now() });
+    this.scheduleFlush();
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  scheduleFlush() {
+    if (!this.filePath || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch((e) => console.error("Failed to write store file:", e));
+    }, this.flushDelayMs);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.filePath) return;
+
+    const data = {
+      users: Array.from(this.users.values()),
+    };
+    // Write to a temp file first so a crash mid-write can't corrupt the store
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
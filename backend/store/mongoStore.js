@@ -0,0 +1,47 @@
+// MongoDB adapter, same interface as JsonFileStore.
+// The driver is loaded lazily so local dev doesn't need it installed.
+export class MongoStore {
+  /**
+   * @param {{ uri: string, dbName?: string }} options
+   */
+  constructor({ uri, dbName = "nexus" }) {
+    this.uri = uri;
+    this.dbName = dbName;
+    this.client = null;
+    this.users = null;
+  }
+
+  async init() {
+    const { MongoClient } = await import("mongodb");
+    this.client = new MongoClient(this.uri);
+    await this.client.connect();
+
+    const db = this.client.db(this.dbName);
+    this.users = db.collection("users");
+    console.log(`Connected to MongoDB database "${this.dbName}"`);
+  }
+
+  async getUser(id) {
+    return fromDoc(await this.users.findOne({ _id: id }));
+  }
+
+  async saveUser(user) {
+    const { id, ...fields } = user;
+    await this.users.updateOne(
+      { _id: id },
+      { $set: { ...fields, updatedAt: Date.now() } },
+      { upsert: true }
+    );
+  }
+
+  async close() {
+    await this.client?.close();
+  }
+}
+
+// Mongo keys documents by `_id`, the rest of the server uses `id`
+function fromDoc(doc) {
+  if (!doc) return null;
+  const { _id, ...fields } = doc;
+  return { id: _id, ...fields };
+}
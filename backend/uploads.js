@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import path from "path";
+
+// ---- Chat attachments ----
+// Files are uploaded over HTTP first (POST /uploads) and then referenced by id
+// from a chat message. Until then only the uploader can fetch one; afterwards,
+// the uploader and the message's audience, the people it was delivered to
+// (canAccessUpload in server.js). Anyone else who reads the message later, in
+// history or on walking up, sees the attachment marked `restricted` and without
+// its id. Metadata lives in memory like the chat log; the bytes go to a
+// storage adapter with four async methods:
+//   init(), save(id, buffer), read(id) -> Buffer | null, remove(id)
+// LocalDiskStorage keeps them in a directory; an S3-compatible adapter only
+// has to implement the same methods.
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_NAME_LENGTH = 100;
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const startsWith = (buffer, ...bytes) => bytes.every((b, i) => buffer[i] === b);
+const ascii = (buffer, offset, text) => buffer.toString("latin1", offset, offset + text.length) === text;
+
+// Allowed types, each with a check that the bytes really are that type (no SVG:
+// it can carry scripts)
+const UPLOAD_TYPES = {
+  "image/png": (b) => startsWith(b, 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a),
+  "image/jpeg": (b) => startsWith(b, 0xff, 0xd8, 0xff),
+  "image/gif": (b) => ascii(b, 0, "GIF87a") || ascii(b, 0, "GIF89a"),
+  "image/webp": (b) => ascii(b, 0, "RIFF") && ascii(b, 8, "WEBP"),
+  "application/pdf": (b) => ascii(b, 0, "%PDF-"),
+  "text/plain": (b) => !b.includes(0),
+};
+export const UPLOAD_TYPE_NAMES = Object.keys(UPLOAD_TYPES);
+
+/**
+ * @typedef {Object} Upload
+ * @property {string} id
+ * @property {string} name  cleaned-up original file name
+ * @property {string} type  one of UPLOAD_TYPE_NAMES
+ * @property {number} size  bytes
+ * @property {string} uploaderId  participant id
+ * @property {string} roomId
+ * @property {number} createdAt
+ * @property {number | null} messageId  the chat message it was sent with, once sent
+ */
+
+export class LocalDiskStorage {
+  /** @param {string} dir  created if missing */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  // Upload metadata doesn't survive a restart, so neither do the files it points to
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+    for (const name of await fs.readdir(this.dir)) {
+      if (UPLOAD_ID_PATTERN.test(name)) await fs.rm(path.join(this.dir, name), { force: true });
+    }
+  }
+
+  filePath(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) throw new Error(`Bad upload id: ${id}`);
+    return path.join(this.dir, id);
+  }
+
+  async save(id, buffer) {
+    await fs.writeFile(this.filePath(id), buffer);
+  }
+
+  async read(id) {
+    try {
+      return await fs.readFile(this.filePath(id));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async remove(id) {
+    await fs.rm(this.filePath(id), { force: true });
+  }
+}
+
+/** Why an upload is refused, or null if it's fine */
+export function checkUpload(type, buffer) {
+  const matches = UPLOAD_TYPES[type];
+  if (!matches) return "Unsupported file type";
+  if (buffer.length === 0) return "Empty file";
+  if (!matches(buffer)) return "File contents don't match its type";
+  return null;
+}
+
+/** A display-safe file name from the client's X-File-Name header (URI-encoded) */
+export function cleanFileName(raw) {
+  let name = String(raw ?? "");
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // keep it as sent
+  }
+  name = name
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  return name || "file";
+}
+
+/** What goes into a chat message and back to the uploader */
+export function toClientAttachment({ id, name, type, size }) {
+  return { id, name, type, size };
+}
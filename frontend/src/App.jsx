@@ -1,14 +1,445 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, { useEffect, useLayoutEffect, useRef, useState, useCallback, useMemo } from "react";
+import { findPath, isBlockedAt } from "./pathfinding";
+import {
+  AVATAR_PARTS,
+  AVATAR_PRESETS,
+  FRAME_HEIGHT,
+  FRAME_WIDTH,
+  directionFromDelta,
+  drawAvatar,
+  normalizeAvatar,
+  walkFrame,
+} from "./avatars";
+import {
+  BOARD_HEIGHT,
+  BOARD_WIDTH,
+  PEN_COLORS,
+  PEN_WIDTHS,
+  addStrokePoints,
+  boardToPNG,
+  boardToSVG,
+  drawBoard,
+} from "./whiteboard";
+import { CHAT_EDIT_WINDOW_MS, REACTIONS, formatFileSize, mentionAt, parseRichText, uploadProblem } from "./chatFormat";
 
 const WS_URL = "wss://vibecoding-4v23.onrender.com";
+const API_URL = WS_URL.replace(/^ws/, "http");
+const DEFAULT_ROOM = { id: "lobby", name: "Lobby", width: 1600, height: 900 };
+const PROFILE_STORAGE_KEY = "nexus.profileId";
+const SESSION_STORAGE_KEY = "nexus.sessionToken"; // per tab, resumes our participant after a drop
+const SOCKET_PROTOCOL = "nexus"; // Match server's SOCKET_PROTOCOL
+const AUTH_TOKEN_STORAGE_KEY = "nexus.authToken"; // optional JWT for servers that require auth
 const PROXIMITY_RADIUS = 200;
 const HEARTBEAT_INTERVAL = 15000; // Match server's HEARTBEAT_INTERVAL_MS
 const MAX_RECONNECT_ATTEMPTS = 5;
+const RTC_CONFIG = { iceServers: [{ urls: "stun:stun.l.google.com:19302" }] };
+const SPATIAL_FULL_VOLUME_RADIUS = 40; // px, voices closer than this play at full volume
+const SPATIAL_SMOOTHING = 0.05; // s, time constant for gain/pan ramps (avoids zipper noise)
+
+const KEY_BINDINGS_STORAGE_KEY = "nexus.keyBindings";
+const AVATAR_STORAGE_KEY = "nexus.avatar"; // last pick, pre-selected in the login picker
+const AVATAR_WALK_HOLD_MS = 150; // keep walking this long after the last step (remote updates are gappy)
+const MAX_SPEED_PX_PER_S = 2500; // Match server's MAX_SPEED_PX_PER_S; moves faster than this get corrected
+
+// Ids match the server's EMOTES and STATUSES
+const EMOTES = [
+  { id: "wave", icon: "👋", label: "Wave" },
+  { id: "thumbs-up", icon: "👍", label: "Thumbs up" },
+  { id: "heart", icon: "❤️", label: "Heart" },
+  { id: "laugh", icon: "😂", label: "Laugh" },
+  { id: "raise-hand", icon: "✋", label: "Raise hand" },
+];
+const EMOTE_DURATION_MS = 2000; // float-and-fade time above the avatar
+const STATUSES = {
+  available: { label: "Available", color: "#22c55e" },
+  busy: { label: "Busy", color: "#ef4444" },
+  away: { label: "Away", color: "#eab308" },
+  dnd: { label: "Do not disturb", color: "#a855f7" },
+};
+const QUIET_STATUSES = ["busy", "dnd"]; // nearby people with these don't pop our chat open
+
+// Virtual objects; types and note colours match backend/objects.js
+const CHAT_HISTORY_PAGE = 30; // Match server's CHAT_HISTORY_PAGE
+const CHAT_SCROLL_LOAD_PX = 40; // scrolling this close to the top fetches older messages
+const MENTION_TOAST_MS = 6000;
+const TYPING_REFRESH_MS = 3000; // typing_start is resent this often while composing
+const TYPING_IDLE_MS = 4000; // no keystrokes for this long sends typing_stop
+const TYPING_TIMEOUT_MS = 6000; // someone's typing_start is forgotten if not refreshed within this
+const SEEN_INTERVAL_MS = 1000; // Match server's CHAT_RATE_LIMIT_MS; read receipts are batched to one per interval
+const MAX_MENTION_SUGGESTIONS = 5;
+const OBJECT_RANGE_PX = 80; // Match server's OBJECT_RANGE_PX; the panel opens this close
+const BOARD_RANGE_PX = 200; // Match server's BOARD_RANGE_PX; an open whiteboard closes further away
+const BOARD_SEND_INTERVAL_MS = 50; // stroke points are sent in chunks this often while drawing
+const NOTE_COLORS = ["#fde047", "#f9a8d4", "#86efac", "#93c5fd"];
+const OBJECT_TOOLS = [
+  { type: "note", icon: "📝", label: "Sticky note" },
+  { type: "portal", icon: "🌀", label: "Portal" },
+  { type: "link", icon: "🔗", label: "Link card" },
+  { type: "whiteboard", icon: "🖍️", label: "Whiteboard" },
+];
+
+const WALK_SPEED_PX_PER_S = 320; // keyboard/gamepad walking speed
+const GAMEPAD_DEADZONE = 0.2;
+const MOVE_ACTIONS = ["up", "down", "left", "right"];
+// Two slots per action (KeyboardEvent.code values), editable in the CONTROLS panel
+const DEFAULT_KEY_BINDINGS = {
+  up: ["KeyW", "ArrowUp"],
+  down: ["KeyS", "ArrowDown"],
+  left: ["KeyA", "ArrowLeft"],
+  right: ["KeyD", "ArrowRight"],
+};
+
+// Camera: the canvas is a fixed-size window onto the room
+const VIEW_WIDTH = 1600; // canvas backing size in px
+const VIEW_HEIGHT = 900;
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 1.15; // per wheel notch / button press
+const DRAG_THRESHOLD_PX = 5; // mouse travel before a press becomes a pan instead of a click
+const VIEWPORT_REPORT_INTERVAL_MS = 250; // how often the visible rect may be sent to the server
+
+const INTERPOLATION_DELAY_MS = 100; // render remote avatars this far in the past (~2 ticks at 20 Hz)
+const MAX_BUFFERED_SNAPSHOTS = 20;
+
+// Position at renderTime from timestamped samples (oldest first), holding at the ends
+function sampleAt(samples, renderTime) {
+  while (samples.length > 2 && samples[1].t <= renderTime) samples.shift();
+  const [a, b] = samples;
+  if (!b || renderTime <= a.t) return a;
+  if (renderTime >= b.t) return b;
+  const k = (renderTime - a.t) / (b.t - a.t);
+  return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k };
+}
+
+// Fallback colours for tiles whose tileset entry has no `color` property
+const TILE_PALETTE = ["#020617", "#0b1a33", "#1e293b", "#334155", "#0e7490", "#1e1b4b"];
+
+function tileColor(map, gid) {
+  return map.tiles?.[gid]?.color || TILE_PALETTE[gid % TILE_PALETTE.length];
+}
+
+// Draw the map's tile layers once into an offscreen canvas; draw() blits it every frame
+function renderMapImage(map) {
+  const image = document.createElement("canvas");
+  image.width = map.cols * map.tileSize;
+  image.height = map.rows * map.tileSize;
+  const ctx = image.getContext("2d");
+  ctx.fillStyle = "#020617";
+  ctx.fillRect(0, 0, image.width, image.height);
+
+  for (const layer of map.layers) {
+    ctx.globalAlpha = layer.opacity;
+    layer.data.forEach((gid, i) => {
+      if (!gid) return;
+      const x = (i % map.cols) * map.tileSize;
+      const y = Math.floor(i / map.cols) * map.tileSize;
+      ctx.fillStyle = tileColor(map, gid);
+      ctx.fillRect(x, y, map.tileSize, map.tileSize);
+      if (layer.collision) {
+        ctx.strokeStyle = "rgba(34, 193, 255, 0.25)";
+        ctx.strokeRect(x + 0.5, y + 0.5, map.tileSize - 1, map.tileSize - 1);
+      }
+    });
+  }
+  ctx.globalAlpha = 1;
+  return image;
+}
+
+// Blocked tiles merged into horizontal runs, in tile units (keeps the minimap SVG small)
+function blockedRuns(map) {
+  const runs = [];
+  for (let row = 0; row < map.rows; row++) {
+    let start = -1;
+    for (let col = 0; col <= map.cols; col++) {
+      const blocked = col < map.cols && map.blocked[row * map.cols + col] === 1;
+      if (blocked && start < 0) start = col;
+      if (!blocked && start >= 0) {
+        runs.push({ x: start, y: row, width: col - start });
+        start = -1;
+      }
+    }
+  }
+  return runs;
+}
+
+// Closest object within OBJECT_RANGE_PX of (x, y), if any
+function nearestObject(objects, x, y) {
+  let best = null;
+  let bestDistance = OBJECT_RANGE_PX;
+  for (const object of objects.values()) {
+    const distance = Math.hypot(object.x - x, object.y - y);
+    if (distance <= bestDistance) {
+      best = object;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Starting state for a freshly placed object; the owner edits it in the panel
+function defaultObjectState(type, room) {
+  if (type === "note") return { text: "", color: NOTE_COLORS[0] };
+  if (type === "portal") return { label: "Portal", room: null, x: Math.round(room.width / 2), y: Math.round(room.height / 2) };
+  if (type === "whiteboard") return { title: "Whiteboard" };
+  return { url: "https://example.com/", title: "New link" };
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// One object on the canvas, centred on (object.x, object.y)
+function drawObject(ctx, object, time, active) {
+  const { x, y, state } = object;
+  ctx.save();
+  if (object.type === "note") {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.fillRect(x - 13, y - 11, 28, 28);
+    ctx.fillStyle = state.color;
+    ctx.fillRect(x - 15, y - 14, 28, 28);
+    ctx.fillStyle = "#1e293b";
+    ctx.font = "7px ui-monospace, monospace";
+    ctx.textAlign = "left";
+    state.text.split("\n").slice(0, 3).forEach((line, i) => ctx.fillText(truncate(line, 6), x - 12, y - 4 + i * 8));
+  } else if (object.type === "portal") {
+    ctx.lineWidth = 3;
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      ctx.strokeStyle = `rgba(168, 85, 247, ${0.9 - i * 0.25})`;
+      ctx.setLineDash([6, 4]);
+      ctx.lineDashOffset = ((time / 40) * (i % 2 ? -1 : 1)) % 10;
+      ctx.arc(x, y, 18 - i * 5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  } else if (object.type === "link") {
+    ctx.fillStyle = "rgba(15, 23, 42, 0.9)";
+    ctx.strokeStyle = "rgba(34, 193, 255, 0.8)";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.roundRect(x - 18, y - 12, 36, 24, 4);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText("🔗", x, y + 5);
+  } else if (object.type === "whiteboard") {
+    ctx.fillStyle = "#f8fafc";
+    ctx.strokeStyle = "#64748b";
+    ctx.lineWidth = 2;
+    ctx.fillRect(x - 22, y - 15, 44, 30);
+    ctx.strokeRect(x - 22, y - 15, 44, 30);
+    ctx.strokeStyle = "#0ea5e9";
+    ctx.beginPath();
+    ctx.moveTo(x - 14, y + 4);
+    ctx.quadraticCurveTo(x - 6, y - 12, x + 2, y + 2);
+    ctx.quadraticCurveTo(x + 8, y + 10, x + 14, y - 6);
+    ctx.stroke();
+  }
+
+  const caption = object.type === "note" ? null : object.type === "portal" ? state.label : state.title;
+  if (caption) {
+    ctx.font = "11px ui-monospace, monospace";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.fillText(truncate(caption, 20), x + 1, y + 33);
+    ctx.fillStyle = object.type === "portal" ? "#d8b4fe" : "#7dd3fc";
+    ctx.fillText(truncate(caption, 20), x, y + 32);
+  }
+
+  // The object the interaction panel is showing
+  if (active) {
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.arc(x, y, 26, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// The server's chat channel for the nearby conversation: the private zone we're in, or the open floor
+function nearbyChannel(zone) {
+  return zone ? `zone:${zone.id}` : "proximity";
+}
+
+// Merge incoming chat messages into the list, oldest first; ids are unique and ordered per room
+function mergeChatMessages(messages, incoming, selfId) {
+  const byId = new Map(messages.map((msg) => [msg.id, msg]));
+  for (const msg of incoming) byId.set(msg.id, { ...msg, isOwn: msg.senderId === selfId });
+  return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+}
+
+// Swap in an updated message if we have it; one we haven't loaded is left for paging to fetch
+function replaceChatMessage(messages, message, selfId) {
+  const index = messages.findIndex((msg) => msg.id === message.id);
+  if (index < 0) return messages;
+  const next = messages.slice();
+  next[index] = { ...message, isOwn: message.senderId === selfId };
+  return next;
+}
+
+// A copy of the map without `key`, or the same map if it wasn't there (keeps React state stable)
+function withoutKey(map, key) {
+  if (!map.has(key)) return map;
+  const copy = new Map(map);
+  copy.delete(key);
+  return copy;
+}
+
+// camera = { x, y, zoom }: world point at the canvas centre, canvas px per world px.
+// cameraTransform is world -> canvas (for ctx.setTransform), screenToWorld its inverse.
+function cameraTransform(camera) {
+  return [camera.zoom, 0, 0, camera.zoom, VIEW_WIDTH / 2 - camera.x * camera.zoom, VIEW_HEIGHT / 2 - camera.y * camera.zoom];
+}
+
+function screenToWorld(camera, point) {
+  return {
+    x: (point.x - VIEW_WIDTH / 2) / camera.zoom + camera.x,
+    y: (point.y - VIEW_HEIGHT / 2) / camera.zoom + camera.y,
+  };
+}
+
+// The world rect the camera shows
+function cameraRect(camera) {
+  const width = VIEW_WIDTH / camera.zoom;
+  const height = VIEW_HEIGHT / camera.zoom;
+  return { x: camera.x - width / 2, y: camera.y - height / 2, width, height };
+}
+
+// Keep the view inside the room; a room smaller than the view is centred
+function clampCamera(camera, room) {
+  const { width, height } = cameraRect(camera);
+  const clampAxis = (v, size, roomSize) =>
+    size >= roomSize ? roomSize / 2 : Math.max(size / 2, Math.min(roomSize - size / 2, v));
+  return { ...camera, x: clampAxis(camera.x, width, room.width), y: clampAxis(camera.y, height, room.height) };
+}
+
+// Small rooms fill the canvas, big ones start at 1:1 and are explored by following/panning
+function defaultZoom(room) {
+  return Math.max(1, Math.min(VIEW_WIDTH / room.width, VIEW_HEIGHT / room.height));
+}
+
+// Mouse position in canvas px (the canvas is CSS-scaled to fit the page)
+function canvasPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((e.clientX - rect.left) * VIEW_WIDTH) / rect.width,
+    y: ((e.clientY - rect.top) * VIEW_HEIGHT) / rect.height,
+  };
+}
+
+// Last avatar picked in this browser, else a random preset
+function loadAvatar() {
+  try {
+    const saved = normalizeAvatar(JSON.parse(localStorage.getItem(AVATAR_STORAGE_KEY)));
+    if (saved) return saved;
+  } catch {
+    // fall through to a preset
+  }
+  return AVATAR_PRESETS[Math.floor(Math.random() * AVATAR_PRESETS.length)].avatar;
+}
+
+// Saved bindings, falling back to the defaults for anything missing or malformed
+function loadKeyBindings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY)) || {};
+  } catch {
+    saved = {};
+  }
+  const bindings = {};
+  for (const action of MOVE_ACTIONS) {
+    const keys = saved[action];
+    const valid = Array.isArray(keys) && keys.length === 2 && keys.every((k) => k === null || typeof k === "string");
+    bindings[action] = valid ? keys : DEFAULT_KEY_BINDINGS[action];
+  }
+  return bindings;
+}
+
+// "KeyW" -> "W", "ArrowUp" -> "↑", "Digit1" -> "1"
+function keyLabel(code) {
+  if (!code) return "—";
+  const arrows = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  return arrows[code] || code.replace(/^(Key|Digit)/, "");
+}
+
+// Typing in the chat (or any field) must never walk the avatar
+function isTypingTarget(el) {
+  return !!el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
+}
+
+// Screen tracks ride on the proximity peer connections as a second stream
+function addScreenTracks(peer, stream) {
+  peer.screenSenders = stream.getTracks().map((track) => peer.pc.addTrack(track, stream));
+}
+
+// Where a sharer's screen thumbnail sits next to their avatar (world px)
+function screenThumbnailRect(participant) {
+  return { x: participant.x + 22, y: participant.y - 66, width: 72, height: 45 };
+}
+
+// Left stick (or d-pad) of the first connected gamepad, magnitude <= 1
+function readGamepad() {
+  const pad = Array.from(navigator.getGamepads?.() || []).find((gp) => gp?.connected);
+  if (!pad) return { x: 0, y: 0 };
+  let x = Math.abs(pad.axes[0] || 0) > GAMEPAD_DEADZONE ? pad.axes[0] : 0;
+  let y = Math.abs(pad.axes[1] || 0) > GAMEPAD_DEADZONE ? pad.axes[1] : 0;
+  // Standard mapping: buttons 12-15 are d-pad up, down, left, right
+  if (pad.buttons[12]?.pressed) y = -1;
+  if (pad.buttons[13]?.pressed) y = 1;
+  if (pad.buttons[14]?.pressed) x = -1;
+  if (pad.buttons[15]?.pressed) x = 1;
+  return { x, y };
+}
+
+// Stable per-browser id so the server can restore name, colour and position
+function getProfileId() {
+  let profileId = localStorage.getItem(PROFILE_STORAGE_KEY);
+  if (!profileId) {
+    profileId = crypto.randomUUID();
+    localStorage.setItem(PROFILE_STORAGE_KEY, profileId);
+  }
+  return profileId;
+}
+
+// Present the auth token, if any, on the upgrade URL
+function buildSocketUrl() {
+  const authToken = localStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
+  return authToken ? `${WS_URL}/?${new URLSearchParams({ token: authToken })}` : WS_URL;
+}
+
+// The resume token rides in Sec-WebSocket-Protocol rather than the URL, which gets copied
+// and logged; the server answers with the plain SOCKET_PROTOCOL
+function socketProtocols() {
+  const sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  return sessionToken ? [SOCKET_PROTOCOL, `${SOCKET_PROTOCOL}.session.${sessionToken}`] : [SOCKET_PROTOCOL];
+}
+
+// Chat attachments are only served to the people the message went to. The session
+// token goes in a header (never a URL, it also resumes our participant), so files are
+// fetched here and shown from blob URLs rather than linked directly.
+async function fetchAttachment(id) {
+  const sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY) ?? "";
+  const res = await fetch(`${API_URL}/uploads/${id}`, { headers: { Authorization: `Bearer ${sessionToken}` } });
+  if (!res.ok) throw new Error(`Attachment unavailable (${res.status})`);
+  return res.blob();
+}
+
+// Full volume up close, fading linearly to silence at the proximity edge
+function spatialGain(distance) {
+  if (distance <= SPATIAL_FULL_VOLUME_RADIUS) return 1;
+  const fade = (distance - SPATIAL_FULL_VOLUME_RADIUS) / (PROXIMITY_RADIUS - SPATIAL_FULL_VOLUME_RADIUS);
+  return Math.max(0, 1 - fade);
+}
 
 export default function App() {
   // UI State
   const [gameState, setGameState] = useState("login"); // "login" | "main"
   const [callsign, setCallsign] = useState("");
+  const [roomChoice, setRoomChoice] = useState(DEFAULT_ROOM.id);
+  const [availableRooms, setAvailableRooms] = useState([]);
 
   // Connection State
   const [connected, setConnected] = useState(false);
@@ -19,6 +450,11 @@ export default function App() {
   // Game State
   const [participantsMap, setParticipantsMap] = useState(() => new Map());
   const [nearby, setNearby] = useState([]);
+  const [zone, setZone] = useState(null); // { id, name } while inside a private zone
+  const [keyBindings, setKeyBindings] = useState(loadKeyBindings);
+  const [avatar, setAvatar] = useState(loadAvatar);
+  const [followSelf, setFollowSelf] = useState(true);
+  const [zoom, setZoom] = useState(1);
 
   // Debug State
   const [debugInfo, setDebugInfo] = useState({
@@ -35,8 +471,38 @@ export default function App() {
 
   // Chat State
   const [chatMessages, setChatMessages] = useState([]);
+  const [chatHistory, setChatHistory] = useState({ view: null, loading: false, hasMore: true }); // scroll-back paging
   const [chatInput, setChatInput] = useState("");
   const [showChat, setShowChat] = useState(false);
+  const [chatTab, setChatTab] = useState("nearby"); // "nearby" | "direct" | "announcements"
+  const [dmPeer, setDmPeer] = useState(null); // participant id of the open direct conversation
+  const [dmMessages, setDmMessages] = useState(() => new Map()); // peer id -> messages, oldest first
+  const [dmUnread, setDmUnread] = useState(() => new Map()); // peer id -> count
+  const [announcements, setAnnouncements] = useState([]);
+  const [announcementsUnread, setAnnouncementsUnread] = useState(0);
+  const [chatError, setChatError] = useState(null);
+  const [composeMentions, setComposeMentions] = useState([]); // ids picked from the @ autocomplete
+  const [mentionMenu, setMentionMenu] = useState(null); // { start, query, index } while typing @name
+  const [editingMessage, setEditingMessage] = useState(null); // own message being edited in the input
+  const [attachment, setAttachment] = useState(null); // uploaded file waiting to be sent: { id, name, type, size, previewUrl? }
+  const [uploading, setUploading] = useState(false);
+  const [dragActive, setDragActive] = useState(false); // a file is being dragged over the chat panel
+  const [mentionToasts, setMentionToasts] = useState([]); // messages that @mentioned us
+  const [typingIds, setTypingIds] = useState(() => new Map()); // id -> expiry (ms) while composing a nearby message
+
+  // Virtual Objects State
+  const [objects, setObjects] = useState(() => new Map()); // id -> { id, type, x, y, state, owner, updatedAt }
+  const [objectError, setObjectError] = useState(null);
+  const [board, setBoard] = useState(null); // open whiteboard: { id, strokes, loading }
+
+  // Voice/Video State
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStreams, setRemoteStreams] = useState(() => new Map());
+  const [screenStream, setScreenStream] = useState(null); // our own screen share
+  const [remoteScreens, setRemoteScreens] = useState(() => new Map()); // peerId -> screen stream
+  const [expandedScreen, setExpandedScreen] = useState(null); // participant id shown in the big panel
+  const [micEnabled, setMicEnabled] = useState(true);
+  const [cameraEnabled, setCameraEnabled] = useState(true);
 
   // Refs
   const wsRef = useRef(null);
@@ -45,16 +511,47 @@ export default function App() {
   const lastMoveRef = useRef(0);
   const participantsRef = useRef(participantsMap);
   const nearbyRef = useRef(nearby);
+  const zoneRef = useRef(zone);
   const selfIdRef = useRef(selfId);
   const reconnectTimeoutRef = useRef(null);
   const heartbeatIntervalRef = useRef(null);
   const callsignRef = useRef(callsign);
+  const roomRef = useRef(room);
+  const roomChoiceRef = useRef(roomChoice);
   const targetPositionRef = useRef(null);
   const isMovingRef = useRef(false);
   const animationStartTimeRef = useRef(0);
   const startPositionRef = useRef(null);
+  const pathRef = useRef([]); // waypoints still to walk after targetPosition
+  const pressedKeysRef = useRef(new Set()); // KeyboardEvent.code values held down
+  const keyBindingsRef = useRef(keyBindings);
+  const avatarRef = useRef(avatar);
+  const avatarMotionRef = useRef(new Map()); // id -> { x, y, direction, walkingUntil } from the last frame
+  const cameraRef = useRef({ x: DEFAULT_ROOM.width / 2, y: DEFAULT_ROOM.height / 2, zoom: 1 });
+  const followSelfRef = useRef(followSelf);
+  const dragRef = useRef(null); // { start, camera, dragging } while the mouse is down on the canvas
+  const suppressClickRef = useRef(false); // a drag ends with a click event we must ignore
+  const minimapViewportRef = useRef(null);
+  const viewportReportRef = useRef({ t: 0, rect: null }); // last `viewport` sent
   const chatMessagesRef = useRef([]);
   const chatInputRef = useRef(null);
+  const peersRef = useRef(new Map()); // peerId -> { pc, polite, makingOffer, ignoreOffer, ready }
+  const localStreamRef = useRef(null);
+  const localStreamPromiseRef = useRef(null);
+  const micEnabledRef = useRef(micEnabled);
+  const cameraEnabledRef = useRef(cameraEnabled);
+  const audioContextRef = useRef(null);
+  const audioGraphsRef = useRef(new Map()); // peerId -> { stream, source, panner, gain }
+  const interpolationRef = useRef(new Map()); // remote id -> [{ t, x, y }] playback buffer
+  const emotesRef = useRef(new Map()); // id -> [{ emote, startedAt }] still floating
+  const typingRef = useRef(typingIds);
+  const localTypingRef = useRef({ sentAt: 0, idleTimer: null }); // our own typing_start / typing_stop
+  const seenRef = useRef({ upTo: 0, target: 0, sentAt: 0, timer: null }); // our read receipts
+  const objectsRef = useRef(objects);
+  const screenStreamRef = useRef(null);
+  const screenShareIdsRef = useRef(new Map()); // peerId -> announced screen stream id
+  const screenVideosRef = useRef(new Map()); // participant id -> <video> feeding the canvas thumbnail
+  const mapImageRef = useRef(null); // { map, image } pre-rendered tiles for the current room
 
   // Keep refs in sync with state for animation loop
   useEffect(() => {
@@ -65,6 +562,32 @@ export default function App() {
     nearbyRef.current = nearby;
   }, [nearby]);
 
+  useEffect(() => {
+    typingRef.current = typingIds;
+  }, [typingIds]);
+
+  useEffect(() => {
+    zoneRef.current = zone;
+  }, [zone]);
+
+  useEffect(() => {
+    objectsRef.current = objects;
+  }, [objects]);
+
+  useEffect(() => {
+    followSelfRef.current = followSelf;
+  }, [followSelf]);
+
+  useEffect(() => {
+    avatarRef.current = avatar;
+    localStorage.setItem(AVATAR_STORAGE_KEY, JSON.stringify(avatar));
+  }, [avatar]);
+
+  useEffect(() => {
+    keyBindingsRef.current = keyBindings;
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+  }, [keyBindings]);
+
   useEffect(() => {
     selfIdRef.current = selfId;
   }, [selfId]);
@@ -73,6 +596,14 @@ export default function App() {
     callsignRef.current = callsign;
   }, [callsign]);
 
+  useEffect(() => {
+    roomRef.current = room;
+  }, [room]);
+
+  useEffect(() => {
+    roomChoiceRef.current = roomChoice;
+  }, [roomChoice]);
+
   useEffect(() => {
     targetPositionRef.current = targetPosition;
   }, [targetPosition]);
@@ -85,11 +616,49 @@ export default function App() {
     chatMessagesRef.current = chatMessages;
   }, [chatMessages]);
 
-  // Auto-show/hide chat based on proximity
+  // Mute/camera toggles only flip track.enabled, so no renegotiation is needed
+  useEffect(() => {
+    micEnabledRef.current = micEnabled;
+    localStreamRef.current?.getAudioTracks().forEach((track) => {
+      track.enabled = micEnabled;
+    });
+  }, [micEnabled]);
+
+  useEffect(() => {
+    cameraEnabledRef.current = cameraEnabled;
+    localStreamRef.current?.getVideoTracks().forEach((track) => {
+      track.enabled = cameraEnabled;
+    });
+  }, [cameraEnabled]);
+
+  // Fetch the room list (with occupancy) for the login screen
   useEffect(() => {
-    if (nearby.length > 0 && !showChat) {
+    if (gameState !== "login") return;
+    let cancelled = false;
+
+    fetch(`${API_URL}/rooms`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled && Array.isArray(data?.rooms)) {
+          setAvailableRooms(data.rooms);
+        }
+      })
+      .catch((err) => console.error("Failed to fetch rooms:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gameState]);
+
+  // Auto-show/hide chat based on proximity; busy/DND neighbours alone don't open it.
+  // Direct messages and announcements stay open with nobody around.
+  const chatPeerCount = nearby.filter(
+    (id) => !QUIET_STATUSES.includes(participantsMap.get(id)?.status)
+  ).length;
+  useEffect(() => {
+    if (chatPeerCount > 0 && !showChat) {
       setShowChat(true);
-    } else if (nearby.length === 0 && showChat) {
+    } else if (nearby.length === 0 && showChat && chatTab === "nearby") {
       // Delay hiding chat to allow reading messages
       const hideTimeout = setTimeout(() => {
         if (nearby.length === 0) {
@@ -98,21 +667,559 @@ export default function App() {
       }, 3000);
       return () => clearTimeout(hideTimeout);
     }
-  }, [nearby.length, showChat]);
+  }, [nearby.length, chatPeerCount, showChat, chatTab]);
 
-  // Clean old chat messages (keep last 50)
+  // The conversation on screen: "nearby", "announcements" or "dm:<peer id>"
+  const chatView = chatTab === "direct" ? (dmPeer ? `dm:${dmPeer}` : null) : chatTab;
+  const visibleMessages = useMemo(() => {
+    if (chatTab === "direct") return (dmPeer && dmMessages.get(dmPeer)) || [];
+    return chatTab === "announcements" ? announcements : chatMessages;
+  }, [chatTab, dmPeer, dmMessages, announcements, chatMessages]);
+
+  // Incoming DMs and announcements count as unread unless their conversation is open
+  const openChatViewRef = useRef(null);
   useEffect(() => {
-    if (chatMessages.length > 50) {
-      setChatMessages((prev) => prev.slice(-50));
+    openChatViewRef.current = showChat ? chatView : null;
+    if (!showChat) return;
+    if (chatTab === "announcements") setAnnouncementsUnread(0);
+    if (chatTab === "direct" && dmPeer) {
+      setDmUnread((prev) => {
+        if (!prev.has(dmPeer)) return prev;
+        const copy = new Map(prev);
+        copy.delete(dmPeer);
+        return copy;
+      });
     }
-  }, [chatMessages.length]);
+  }, [showChat, chatView, chatTab, dmPeer]);
+
+  const requestChatHistory = useCallback((view, before) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const payload = { limit: CHAT_HISTORY_PAGE, ...(before !== undefined && { before }) };
+    if (view === "announcements") payload.scope = "announcements";
+    else if (view.startsWith("dm:")) Object.assign(payload, { scope: "dm", with: view.slice(3) });
+    ws.send(JSON.stringify({ type: "chat_history", payload }));
+  }, []);
+
+  // A new nearby conversation (room, or in/out of a private zone) starts over from its latest page
+  const chatChannel = nearbyChannel(zone);
+  useEffect(() => {
+    setChatMessages([]);
+    seenRef.current.upTo = 0;
+  }, [selfId, room?.id, chatChannel]);
+
+  // DMs are between participant ids, which are only meaningful in the room they came from
+  useEffect(() => {
+    setDmMessages(new Map());
+    setDmUnread(new Map());
+    setDmPeer(null);
+    setAnnouncements([]);
+    setAnnouncementsUnread(0);
+  }, [selfId, room?.id]);
+
+  useEffect(() => {
+    if (!connected || !selfId || !chatView) return;
+    setChatHistory({ view: chatView, loading: true, hasMore: true });
+    requestChatHistory(chatView);
+  }, [connected, selfId, room?.id, chatChannel, chatView, requestChatHistory]);
+
+  const loadOlderChat = useCallback(() => {
+    const oldest = visibleMessages[0];
+    if (!oldest || chatHistory.view !== chatView || chatHistory.loading || !chatHistory.hasMore) return;
+    setChatHistory({ view: chatView, loading: true, hasMore: true });
+    requestChatHistory(chatView, oldest.id);
+  }, [visibleMessages, chatHistory, chatView, requestChatHistory]);
+
+  // An edit or half-typed mention belongs to the conversation it was started in
+  useEffect(() => {
+    setEditingMessage(null);
+    setMentionMenu(null);
+  }, [chatView]);
+
+  // Open a direct conversation, e.g. from the participant list
+  const openDirectChat = useCallback((peerId) => {
+    setDmPeer(peerId);
+    setChatTab("direct");
+    setShowChat(true);
+    setChatError(null);
+  }, []);
+
+  // Keep the view put when older messages are prepended; follow new ones if we were at the bottom
+  const chatScrollRef = useRef(null);
+  const chatScrollStateRef = useRef({ view: null, firstId: null, height: 0, atBottom: true });
+  useLayoutEffect(() => {
+    const el = chatScrollRef.current;
+    if (!el) return;
+    const previous = chatScrollStateRef.current;
+    const firstId = visibleMessages[0]?.id ?? null;
+    // Another or an emptied conversation opens at its latest message
+    const atBottom = previous.view !== chatView || firstId === null || previous.atBottom;
+    if (atBottom) {
+      el.scrollTop = el.scrollHeight;
+    } else if (previous.firstId !== null && firstId !== null && firstId < previous.firstId) {
+      el.scrollTop += el.scrollHeight - previous.height;
+    }
+    chatScrollStateRef.current = { view: chatView, firstId, height: el.scrollHeight, atBottom };
+  }, [visibleMessages, chatView, showChat]);
+
+  const onChatScroll = useCallback((e) => {
+    const el = e.currentTarget;
+    chatScrollStateRef.current.atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 8;
+    if (el.scrollTop < CHAT_SCROLL_LOAD_PX) loadOlderChat();
+  }, [loadOlderChat]);
+
+  // ---- WebRTC proximity mesh ----
+  const sendSignal = useCallback((type, payload) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type, payload }));
+  }, []);
+
+  // Acquire camera/mic once and share the stream across every peer connection
+  const ensureLocalStream = useCallback(() => {
+    if (localStreamRef.current) return Promise.resolve(localStreamRef.current);
+    if (!localStreamPromiseRef.current) {
+      localStreamPromiseRef.current = navigator.mediaDevices
+        .getUserMedia({ audio: true, video: true })
+        .catch((err) => {
+          console.warn("Camera unavailable, falling back to audio only:", err);
+          return navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        })
+        .then((stream) => {
+          stream.getAudioTracks().forEach((track) => {
+            track.enabled = micEnabledRef.current;
+          });
+          stream.getVideoTracks().forEach((track) => {
+            track.enabled = cameraEnabledRef.current;
+          });
+          localStreamRef.current = stream;
+          setLocalStream(stream);
+          return stream;
+        })
+        .catch((err) => {
+          console.error("Microphone unavailable, joining as listener only:", err);
+          return null;
+        })
+        .finally(() => {
+          localStreamPromiseRef.current = null;
+        });
+    }
+    return localStreamPromiseRef.current;
+  }, []);
+
+  const releaseLocalStream = useCallback(() => {
+    if (!localStreamRef.current) return;
+    localStreamRef.current.getTracks().forEach((track) => track.stop());
+    localStreamRef.current = null;
+    setLocalStream(null);
+  }, []);
+
+  const closePeer = useCallback((peerId) => {
+    const peer = peersRef.current.get(peerId);
+    if (!peer) return;
+    peersRef.current.delete(peerId);
+
+    peer.pc.onicecandidate = null;
+    peer.pc.ontrack = null;
+    peer.pc.onnegotiationneeded = null;
+    peer.pc.onconnectionstatechange = null;
+    try {
+      peer.pc.close();
+    } catch (e) {
+      console.error("Error closing peer connection:", e);
+    }
+
+    setRemoteStreams((prev) => {
+      if (!prev.has(peerId)) return prev;
+      const copy = new Map(prev);
+      copy.delete(peerId);
+      return copy;
+    });
+    // Out of range ends their screen share for us too
+    setRemoteScreens((prev) => {
+      if (!prev.has(peerId)) return prev;
+      const copy = new Map(prev);
+      copy.delete(peerId);
+      return copy;
+    });
+  }, []);
+
+  const createPeer = useCallback((peerId) => {
+    const existing = peersRef.current.get(peerId);
+    if (existing) return existing;
+
+    const pc = new RTCPeerConnection(RTC_CONFIG);
+    // "Perfect negotiation": both sides may offer, the polite one yields on collisions
+    const peer = {
+      pc,
+      polite: (selfIdRef.current || "") > peerId,
+      makingOffer: false,
+      ignoreOffer: false,
+      ready: null,
+    };
+    peersRef.current.set(peerId, peer);
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) sendSignal("rtc_ice", { to: peerId, candidate });
+    };
+
+    pc.ontrack = ({ track, streams }) => {
+      const stream = streams[0] || new MediaStream([track]);
+      // Sharers announce their screen's stream id (screen_share) before offering it
+      if (stream.id === screenShareIdsRef.current.get(peerId)) {
+        setRemoteScreens((prev) => new Map(prev).set(peerId, stream));
+        return;
+      }
+      setRemoteStreams((prev) => new Map(prev).set(peerId, stream));
+    };
+
+    pc.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true;
+        await pc.setLocalDescription();
+        sendSignal("rtc_offer", { to: peerId, sdp: pc.localDescription });
+      } catch (err) {
+        console.error(`Failed to create offer for ${peerId}:`, err);
+      } finally {
+        peer.makingOffer = false;
+      }
+    };
+
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === "failed" || pc.connectionState === "closed") {
+        closePeer(peerId);
+      }
+    };
+
+    peer.ready = ensureLocalStream().then((stream) => {
+      if (peersRef.current.get(peerId) !== peer) return;
+      for (const track of stream?.getTracks() ?? []) {
+        pc.addTrack(track, stream);
+      }
+      // Already sharing: whoever walks up gets the screen too
+      if (screenStreamRef.current) addScreenTracks(peer, screenStreamRef.current);
+    });
+
+    return peer;
+  }, [sendSignal, ensureLocalStream, closePeer]);
+
+  const handleRtcSignal = useCallback(async (type, payload) => {
+    const peerId = payload?.from;
+    if (!peerId) return;
+
+    try {
+      if (type === "rtc_ice") {
+        const peer = peersRef.current.get(peerId);
+        if (!peer) return;
+        try {
+          await peer.pc.addIceCandidate(payload.candidate);
+        } catch (err) {
+          // Candidates for an offer we ignored are expected to fail
+          if (!peer.ignoreOffer) throw err;
+        }
+        return;
+      }
+
+      // The server only relays signals within proximity, so an offer may arrive
+      // before our own proximity list has caught up
+      const peer = type === "rtc_offer" ? createPeer(peerId) : peersRef.current.get(peerId);
+      if (!peer) return;
+      const { pc } = peer;
+
+      if (type === "rtc_offer") {
+        const offerCollision = peer.makingOffer || pc.signalingState !== "stable";
+        peer.ignoreOffer = !peer.polite && offerCollision;
+        if (peer.ignoreOffer) return;
+
+        await pc.setRemoteDescription(payload.sdp);
+        await peer.ready; // attach our tracks so the answer carries them
+        await pc.setLocalDescription();
+        sendSignal("rtc_answer", { to: peerId, sdp: pc.localDescription });
+      } else {
+        await pc.setRemoteDescription(payload.sdp);
+      }
+    } catch (err) {
+      console.error(`WebRTC ${type} from ${peerId} failed:`, err);
+    }
+  }, [createPeer, sendSignal]);
+
+  // ---- Spatial audio ----
+  const ensureAudioContext = useCallback(() => {
+    if (!audioContextRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      audioContextRef.current = new AudioContextClass();
+    }
+    if (audioContextRef.current.state === "suspended") {
+      audioContextRef.current.resume().catch((err) => {
+        console.warn("AudioContext resume blocked until next user gesture:", err);
+      });
+    }
+    return audioContextRef.current;
+  }, []);
+
+  // Route every remote voice through source -> panner -> gain -> speakers
+  useEffect(() => {
+    const graphs = audioGraphsRef.current;
+
+    for (const [peerId, graph] of Array.from(graphs.entries())) {
+      if (remoteStreams.get(peerId) !== graph.stream) {
+        graph.source.disconnect();
+        graph.panner.disconnect();
+        graph.gain.disconnect();
+        graphs.delete(peerId);
+      }
+    }
+
+    for (const [peerId, stream] of remoteStreams) {
+      // Video can arrive before audio; the graph is built on a later ontrack
+      if (graphs.has(peerId) || stream.getAudioTracks().length === 0) continue;
+      const ctx = ensureAudioContext();
+      if (!ctx) return;
+
+      const source = ctx.createMediaStreamSource(stream);
+      // rolloffFactor 0: the panner only pans, distance fading is done by the gain node
+      const panner = new PannerNode(ctx, {
+        panningModel: "equalpower",
+        distanceModel: "linear",
+        rolloffFactor: 0,
+      });
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+
+      source.connect(panner).connect(gain).connect(ctx.destination);
+      graphs.set(peerId, { stream, source, panner, gain });
+    }
+  }, [remoteStreams, ensureAudioContext]);
+
+  // Called every frame from the canvas loop with the latest avatar positions
+  const updateSpatialAudio = useCallback(() => {
+    const ctx = audioContextRef.current;
+    const graphs = audioGraphsRef.current;
+    if (!ctx || graphs.size === 0) return;
+
+    const participants = participantsRef.current;
+    const self = participants.get(selfIdRef.current);
+    if (!self) return;
+
+    const t = ctx.currentTime;
+    for (const [peerId, graph] of graphs) {
+      const peer = participants.get(peerId);
+      let volume = 0;
+      let pan = 0;
+      if (peer) {
+        const dx = peer.x - self.x;
+        const dy = peer.y - self.y;
+        // Everyone in a private zone is in the conversation, however far apart
+        volume = zoneRef.current ? 1 : spatialGain(Math.sqrt(dx * dx + dy * dy));
+        pan = Math.max(-1, Math.min(1, dx / PROXIMITY_RADIUS));
+      }
+
+      // Place the source on a unit circle in front of the listener: x = left/right
+      graph.gain.gain.setTargetAtTime(volume, t, SPATIAL_SMOOTHING);
+      graph.panner.positionX.setTargetAtTime(pan, t, SPATIAL_SMOOTHING);
+      graph.panner.positionZ.setTargetAtTime(-Math.sqrt(1 - pan * pan), t, SPATIAL_SMOOTHING);
+    }
+  }, []);
+
+  // Open and close peer connections as the proximity list changes
+  useEffect(() => {
+    if (gameState !== "main") return;
+
+    const nearbySet = new Set(nearby);
+    for (const peerId of nearby) {
+      createPeer(peerId);
+    }
+    for (const peerId of Array.from(peersRef.current.keys())) {
+      if (!nearbySet.has(peerId)) closePeer(peerId);
+    }
+
+    // Give the camera/mic back once nobody is in range
+    if (peersRef.current.size === 0) releaseLocalStream();
+  }, [nearby, gameState, createPeer, closePeer, releaseLocalStream]);
+
+  // ---- Screen sharing ----
+  const stopScreenShare = useCallback(() => {
+    const stream = screenStreamRef.current;
+    if (!stream) return;
+    screenStreamRef.current = null;
+    setScreenStream(null);
+    stream.getTracks().forEach((track) => track.stop());
+    for (const peer of peersRef.current.values()) {
+      for (const sender of peer.screenSenders ?? []) {
+        try {
+          peer.pc.removeTrack(sender);
+        } catch (e) {
+          console.error("Error removing screen track:", e);
+        }
+      }
+      peer.screenSenders = [];
+    }
+    sendSignal("screen_share", { streamId: null });
+  }, [sendSignal]);
+
+  const startScreenShare = useCallback(async () => {
+    if (screenStreamRef.current) return;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (err) {
+      console.warn("Screen share cancelled:", err);
+      return;
+    }
+    screenStreamRef.current = stream;
+    setScreenStream(stream);
+    // Announce before adding tracks so viewers can tell the screen from the camera
+    sendSignal("screen_share", { streamId: stream.id });
+    for (const peer of peersRef.current.values()) addScreenTracks(peer, stream);
+    // The browser's own "Stop sharing" button
+    stream.getVideoTracks()[0]?.addEventListener("ended", stopScreenShare);
+  }, [sendSignal, stopScreenShare]);
+
+  const closeAllPeers = useCallback(() => {
+    for (const peerId of Array.from(peersRef.current.keys())) {
+      closePeer(peerId);
+    }
+    releaseLocalStream();
+    stopScreenShare();
+  }, [closePeer, releaseLocalStream, stopScreenShare]);
+
+  // Hidden <video>s the canvas draws screen thumbnails from, ours included
+  useEffect(() => {
+    const videos = screenVideosRef.current;
+    const streams = new Map(remoteScreens);
+    if (screenStream && selfId) streams.set(selfId, screenStream);
+
+    for (const [id, video] of Array.from(videos.entries())) {
+      if (streams.get(id) === video.srcObject) continue;
+      video.srcObject = null;
+      videos.delete(id);
+    }
+    for (const [id, stream] of streams) {
+      if (videos.has(id)) continue;
+      const video = document.createElement("video");
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      video.play().catch((err) => console.warn("Screen thumbnail playback blocked:", err));
+      videos.set(id, video);
+    }
+  }, [remoteScreens, screenStream, selfId]);
+
+  // The big panel closes when its share ends or the sharer walks out of range
+  useEffect(() => {
+    if (expandedScreen && !screenVideosRef.current.has(expandedScreen)) setExpandedScreen(null);
+  }, [expandedScreen, remoteScreens, screenStream]);
+
+  // Queue a remote position for smooth playback; missing fields (delta ticks)
+  // are filled from the latest buffered sample. Returns the full position.
+  const pushSnapshot = useCallback((id, update) => {
+    const t = performance.now();
+    const buffers = interpolationRef.current;
+    let samples = buffers.get(id);
+    if (!samples) {
+      const known = participantsRef.current.get(id);
+      samples = known ? [{ t: t - INTERPOLATION_DELAY_MS, x: known.x, y: known.y }] : [];
+      buffers.set(id, samples);
+    }
+
+    const last = samples[samples.length - 1];
+    const x = update.x ?? last?.x;
+    const y = update.y ?? last?.y;
+    if (x === undefined || y === undefined) return null;
+
+    // After standing still, start the next segment from now, not from the old sample
+    if (last && last.t < t - INTERPOLATION_DELAY_MS) {
+      samples.push({ t: t - INTERPOLATION_DELAY_MS, x: last.x, y: last.y });
+    }
+    samples.push({ t, x, y });
+    if (samples.length > MAX_BUFFERED_SNAPSHOTS) {
+      samples.splice(0, samples.length - MAX_BUFFERED_SNAPSHOTS);
+    }
+    return { x, y };
+  }, []);
+
+  // New room: frame it and follow self again
+  useEffect(() => {
+    if (!room) return;
+    const initialZoom = defaultZoom(room);
+    cameraRef.current = { x: room.width / 2, y: room.height / 2, zoom: initialZoom };
+    setZoom(initialZoom);
+    setFollowSelf(true);
+  }, [room]);
+
+  // The draw loop reports the camera rect as `viewport`; resend it after (re)connecting
+  useEffect(() => {
+    viewportReportRef.current = { t: 0, rect: null };
+  }, [connected, room]);
+
+  // Zoom keeping the world point under `anchor` (canvas px) in place
+  const zoomCamera = useCallback((factor, anchor = { x: VIEW_WIDTH / 2, y: VIEW_HEIGHT / 2 }) => {
+    const camera = cameraRef.current;
+    const nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, camera.zoom * factor));
+    const pinned = screenToWorld(camera, anchor);
+    cameraRef.current = {
+      zoom: nextZoom,
+      x: pinned.x - (anchor.x - VIEW_WIDTH / 2) / nextZoom,
+      y: pinned.y - (anchor.y - VIEW_HEIGHT / 2) / nextZoom,
+    };
+    setZoom(nextZoom);
+  }, []);
+
+  // Wheel zoom and drag-to-pan (native listeners: wheel must not scroll the page)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || gameState !== "main") return;
+
+    const onWheel = (e) => {
+      e.preventDefault();
+      zoomCamera(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, canvasPoint(canvas, e));
+    };
+    const onMouseDown = (e) => {
+      if (e.button !== 0) return;
+      dragRef.current = { start: canvasPoint(canvas, e), camera: cameraRef.current, dragging: false };
+    };
+    const onMouseMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      const point = canvasPoint(canvas, e);
+      const dx = point.x - drag.start.x;
+      const dy = point.y - drag.start.y;
+      if (!drag.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+      if (!drag.dragging) {
+        drag.dragging = true;
+        followSelfRef.current = false; // before the next frame, not the next render
+        setFollowSelf(false);
+      }
+      cameraRef.current = {
+        ...drag.camera,
+        x: drag.camera.x - dx / drag.camera.zoom,
+        y: drag.camera.y - dy / drag.camera.zoom,
+      };
+    };
+    const onMouseUp = () => {
+      if (dragRef.current?.dragging) suppressClickRef.current = true;
+      dragRef.current = null;
+    };
+
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    canvas.addEventListener("mousedown", onMouseDown);
+    window.addEventListener("mousemove", onMouseMove);
+    window.addEventListener("mouseup", onMouseUp);
+    return () => {
+      canvas.removeEventListener("wheel", onWheel);
+      canvas.removeEventListener("mousedown", onMouseDown);
+      window.removeEventListener("mousemove", onMouseMove);
+      window.removeEventListener("mouseup", onMouseUp);
+    };
+  }, [gameState, zoomCamera]);
 
   // Rate-limited move function
   const sendMove = useCallback(
     (x, y, isAnimationFrame = false) => {
       const now = Date.now();
       if (!isAnimationFrame && now - lastMoveRef.current < 12) {
-        return;
+        return false;
       }
       lastMoveRef.current = now;
 
@@ -121,7 +1228,7 @@ export default function App() {
 
       if (!ws || ws.readyState !== WebSocket.OPEN) {
         console.log(`WebSocket not ready. State: ${ws?.readyState || "null"}`);
-        return;
+        return false;
       }
 
       const moveData = {
@@ -149,26 +1256,60 @@ export default function App() {
         lastSentMove: { x: Math.round(x), y: Math.round(y), time: now },
         messagesSent: prev.messagesSent + 1,
       }));
+      return true;
     },
     [selfId]
   ); // Add selfId to dependencies
 
+  // Plan a walk around walls and start animating its first leg
+  const startWalk = useCallback(
+    (from, to) => {
+      const waypoints = room?.map ? findPath(room.map, from, to) : [to];
+      if (waypoints.length === 0) return;
+
+      pathRef.current = waypoints.slice(1);
+      setTargetPosition(waypoints[0]);
+      setIsMoving(true);
+      startPositionRef.current = from;
+      animationStartTimeRef.current = performance.now();
+    },
+    [room]
+  );
+
   // Handle canvas click for movement
   const handleCanvasClick = useCallback(
     (e) => {
-      const roomData = room || { width: 1600, height: 900 };
       const canvas = canvasRef.current;
 
+      // The end of a drag-to-pan is not a move
+      if (suppressClickRef.current) {
+        suppressClickRef.current = false;
+        return;
+      }
+
       if (!canvas || !selfId) {
         return;
       }
 
-      const rect = canvas.getBoundingClientRect();
-      const scaleX = roomData.width / rect.width;
-      const scaleY = roomData.height / rect.height;
+      // Browsers only start audio after a gesture; clicks on the map count
+      if (audioContextRef.current) ensureAudioContext();
+
+      const roomData = room || DEFAULT_ROOM;
+      const world = screenToWorld(cameraRef.current, canvasPoint(canvas, e));
+
+      // Clicking a screen-share thumbnail expands it instead of walking there
+      for (const id of screenVideosRef.current.keys()) {
+        const sharer = participantsMap.get(id);
+        if (!sharer) continue;
+        const thumb = screenThumbnailRect(sharer);
+        if (world.x >= thumb.x && world.x <= thumb.x + thumb.width && world.y >= thumb.y && world.y <= thumb.y + thumb.height) {
+          setExpandedScreen(id);
+          return;
+        }
+      }
 
-      const targetX = (e.clientX - rect.left) * scaleX;
-      const targetY = (e.clientY - rect.top) * scaleY;
+      const targetX = Math.max(0, Math.min(roomData.width, world.x));
+      const targetY = Math.max(0, Math.min(roomData.height, world.y));
 
       console.log(`Click target: ${targetX}, ${targetY}`);
 
@@ -186,11 +1327,7 @@ export default function App() {
 
       if (distance < 10) return;
 
-      // Set animation state
-      setTargetPosition(targetPos);
-      setIsMoving(true);
-      startPositionRef.current = startPos;
-      animationStartTimeRef.current = performance.now();
+      startWalk(startPos, targetPos);
 
       // Update debug info
       setDebugInfo((prev) => ({
@@ -198,7 +1335,7 @@ export default function App() {
         lastMousePos: { x: targetPos.x, y: targetPos.y, time: Date.now() },
       }));
     },
-    [room, selfId, participantsMap]
+    [room, selfId, participantsMap, ensureAudioContext, startWalk]
   );
 
   // Animation configuration
@@ -215,8 +1352,8 @@ export default function App() {
     const distance = Math.sqrt(
       Math.pow(targetPos.x - startPos.x, 2) + Math.pow(targetPos.y - startPos.y, 2)
     );
-    // Base duration + distance factor (min 300ms, max 1200ms)
-    return Math.max(300, Math.min(1200, distance * 0.8));
+    // Eased peak speed is twice the average, so keep it under the server's cap (min 300ms)
+    return Math.max(300, (2 * distance * 1000) / MAX_SPEED_PX_PER_S);
   };
 
   // Animation loop for smooth movement
@@ -224,13 +1361,26 @@ export default function App() {
     if (!isMoving || !targetPosition || !startPositionRef.current) return;
 
     const animate = (currentTime) => {
+      // Cleared when the server stops us at a wall
+      if (!startPositionRef.current) return;
+
       const elapsed = currentTime - animationStartTimeRef.current;
       const duration = calculateAnimationDuration(startPositionRef.current, targetPosition);
       const progress = Math.min(elapsed / duration, 1);
 
       if (progress >= 1) {
-        // Animation complete
         sendMove(targetPosition.x, targetPosition.y, true);
+
+        // Next leg of the planned path
+        const next = pathRef.current.shift();
+        if (next) {
+          startPositionRef.current = targetPosition;
+          animationStartTimeRef.current = currentTime;
+          setTargetPosition(next);
+          return;
+        }
+
+        // Animation complete
         setIsMoving(false);
         setTargetPosition(null);
         startPositionRef.current = null;
@@ -248,12 +1398,93 @@ export default function App() {
       sendMove(currentX, currentY, true);
 
       // Continue animation
-      requestAnimationFrame(animate);
+      frame = requestAnimationFrame(animate);
     };
 
-    requestAnimationFrame(animate);
+    // A new click or leg replaces this loop rather than racing it
+    let frame = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frame);
   }, [isMoving, targetPosition, sendMove]);
 
+  // Keyboard and gamepad walking: continuous movement through sendMove's rate limiter
+  useEffect(() => {
+    if (gameState !== "main") return;
+    const pressed = pressedKeysRef.current;
+
+    const isBound = (code) => MOVE_ACTIONS.some((action) => keyBindingsRef.current[action].includes(code));
+    const onKeyDown = (e) => {
+      if (isTypingTarget(e.target) || !isBound(e.code)) return;
+      e.preventDefault(); // arrows would scroll the page
+      pressed.add(e.code);
+    };
+    const onKeyUp = (e) => pressed.delete(e.code);
+    const onBlur = () => pressed.clear();
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+
+    let frame;
+    let lastStepAt = performance.now();
+    const step = (currentTime) => {
+      frame = requestAnimationFrame(step);
+      if (isTypingTarget(document.activeElement)) pressed.clear();
+
+      const bindings = keyBindingsRef.current;
+      const held = (action) => bindings[action].some((code) => code && pressed.has(code));
+      const pad = readGamepad();
+      let dx = (held("right") ? 1 : 0) - (held("left") ? 1 : 0) + pad.x;
+      let dy = (held("down") ? 1 : 0) - (held("up") ? 1 : 0) + pad.y;
+      // Diagonals aren't faster; analog sticks keep their partial tilt
+      const magnitude = Math.hypot(dx, dy);
+      if (magnitude > 1) {
+        dx /= magnitude;
+        dy /= magnitude;
+      }
+
+      const self = participantsRef.current.get(selfIdRef.current);
+      if (magnitude === 0 || !self) {
+        lastStepAt = currentTime;
+        return;
+      }
+
+      // Taking the controls cancels a click-to-move walk
+      if (isMovingRef.current) {
+        startPositionRef.current = null;
+        pathRef.current = [];
+        setIsMoving(false);
+        setTargetPosition(null);
+      }
+
+      const distance = (WALK_SPEED_PX_PER_S * Math.min(currentTime - lastStepAt, 100)) / 1000;
+      const roomData = roomRef.current || DEFAULT_ROOM;
+      const clampX = (x) => Math.max(0, Math.min(roomData.width, x));
+      const clampY = (y) => Math.max(0, Math.min(roomData.height, y));
+      let x = clampX(self.x + dx * distance);
+      let y = clampY(self.y + dy * distance);
+
+      // Slide along walls: if the diagonal is blocked try each axis on its own
+      const map = roomData.map;
+      if (map && isBlockedAt(map, x, y)) {
+        if (!isBlockedAt(map, x, self.y)) y = self.y;
+        else if (!isBlockedAt(map, self.x, y)) x = self.x;
+        else return;
+      }
+      if (Math.round(x) === Math.round(self.x) && Math.round(y) === Math.round(self.y)) return;
+
+      // Only advance the clock once a move actually went out
+      if (sendMove(x, y)) lastStepAt = currentTime;
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+      pressed.clear();
+    };
+  }, [gameState, sendMove]);
+
   // WebSocket connection management with heartbeat and auto-reconnection
   const connect = useCallback((name) => {
     console.log(`Connecting with name: ${name}`);
@@ -290,7 +1521,7 @@ export default function App() {
       }
     }
 
-    const ws = new WebSocket(WS_URL);
+    const ws = new WebSocket(buildSocketUrl(), socketProtocols());
     wsRef.current = ws;
 
     setDebugInfo((prev) => ({ ...prev, wsState: "CONNECTING" }));
@@ -303,7 +1534,12 @@ export default function App() {
 
       const joinMessage = {
         type: "join",
-        payload: { name: name || `Guest-${Math.floor(Math.random() * 1000)}` },
+        payload: {
+          name: name || `Guest-${Math.floor(Math.random() * 1000)}`,
+          room: roomChoiceRef.current || DEFAULT_ROOM.id,
+          profileId: getProfileId(),
+          avatar: avatarRef.current,
+        },
       };
       console.log(`Sending join message:`, joinMessage);
       try {
@@ -343,9 +1579,23 @@ export default function App() {
 
         switch (data.type) {
           case "welcome":
+            { const welcomeRoom = data.payload?.room || DEFAULT_ROOM;
             setSelfId(data.payload?.selfId || null);
-            setRoom(data.payload?.room || { width: 1600, height: 900 });
-            break;
+            // proximity can follow welcome before the next render syncs the ref
+            selfIdRef.current = data.payload?.selfId || null;
+            setRoom(welcomeRoom);
+            if (data.payload?.sessionToken) {
+              sessionStorage.setItem(SESSION_STORAGE_KEY, data.payload.sessionToken);
+            }
+            if (data.payload?.resumed) {
+              console.log("Session resumed, keeping identity");
+            }
+            // Remember the room so reconnects land in the same place
+            if (welcomeRoom.id) setRoomChoice(welcomeRoom.id);
+            setNearby([]);
+            setZone(null);
+            setBoard(null);
+            break; }
 
           case "pong":
             // Heartbeat response received
@@ -354,12 +1604,18 @@ export default function App() {
 
           case "state":
             if (Array.isArray(data.payload?.participants)) {
+              interpolationRef.current.clear(); // full snapshot: snap to it
               const map = new Map();
+              screenShareIdsRef.current.clear();
               for (const p of data.payload.participants) {
                 map.set(p.id, p);
+                if (p.screenShare) screenShareIdsRef.current.set(p.id, p.screenShare);
               }
               setParticipantsMap(map);
             }
+            if (Array.isArray(data.payload?.objects)) {
+              setObjects(new Map(data.payload.objects.map((object) => [object.id, object])));
+            }
             break;
 
           case "joined":
@@ -375,6 +1631,7 @@ export default function App() {
 
           case "moved":
             { const { id, x, y } = data.payload;
+            pushSnapshot(id, { x, y });
             setParticipantsMap((prev) => {
               const copy = new Map(prev);
               const existing = copy.get(id);
@@ -385,6 +1642,42 @@ export default function App() {
             });
             break; }
 
+          case "moved_batch":
+            // Throttled positions for avatars outside our viewport/interest radius
+            if (Array.isArray(data.payload?.updates)) {
+              setParticipantsMap((prev) => {
+                const copy = new Map(prev);
+                for (const { id, x, y } of data.payload.updates) {
+                  const existing = copy.get(id);
+                  if (existing) copy.set(id, { ...existing, x, y });
+                }
+                return copy;
+              });
+              for (const { id, x, y } of data.payload.updates) {
+                pushSnapshot(id, { x, y });
+              }
+            }
+            break;
+
+          case "tick":
+            // Batched deltas: only changed fields are present
+            if (Array.isArray(data.payload?.updates)) {
+              const positions = new Map();
+              for (const update of data.payload.updates) {
+                const position = pushSnapshot(update.id, update);
+                if (position) positions.set(update.id, position);
+              }
+              setParticipantsMap((prev) => {
+                const copy = new Map(prev);
+                for (const [id, position] of positions) {
+                  const existing = copy.get(id);
+                  if (existing) copy.set(id, { ...existing, ...position });
+                }
+                return copy;
+              });
+            }
+            break;
+
           case "renamed":
             { const { id: renameId, name: newName } = data.payload;
             setParticipantsMap((prev) => {
@@ -396,7 +1689,61 @@ export default function App() {
             });
             break; }
 
+          case "updated":
+            { const updatedParticipant = data.payload.participant;
+            if (updatedParticipant) {
+              setParticipantsMap((prev) => {
+                const copy = new Map(prev);
+                copy.set(updatedParticipant.id, { ...copy.get(updatedParticipant.id), ...updatedParticipant });
+                return copy;
+              });
+            }
+            break; }
+
+          case "status":
+            { const { id: statusId, status } = data.payload;
+            setParticipantsMap((prev) => {
+              if (!prev.has(statusId)) return prev;
+              const copy = new Map(prev);
+              copy.set(statusId, { ...copy.get(statusId), status });
+              return copy;
+            });
+            break; }
+
+          case "screen_share":
+            { const { id: sharerId, streamId } = data.payload;
+            if (streamId) {
+              screenShareIdsRef.current.set(sharerId, streamId);
+            } else {
+              screenShareIdsRef.current.delete(sharerId);
+              setRemoteScreens((prev) => {
+                if (!prev.has(sharerId)) return prev;
+                const copy = new Map(prev);
+                copy.delete(sharerId);
+                return copy;
+              });
+            }
+            setParticipantsMap((prev) => {
+              if (!prev.has(sharerId)) return prev;
+              const copy = new Map(prev);
+              copy.set(sharerId, { ...copy.get(sharerId), screenShare: streamId });
+              return copy;
+            });
+            break; }
+
+          case "emote":
+            { const { id: emoteId, emote } = data.payload;
+            const floating = emotesRef.current.get(emoteId) ?? [];
+            floating.push({ emote, startedAt: performance.now() });
+            emotesRef.current.set(emoteId, floating);
+            break; }
+
           case "left":
+            closePeer(data.payload.id);
+            interpolationRef.current.delete(data.payload.id);
+            emotesRef.current.delete(data.payload.id);
+            setTypingIds((prev) => withoutKey(prev, data.payload.id));
+            screenShareIdsRef.current.delete(data.payload.id);
             setParticipantsMap((prev) => {
               if (!prev.has(data.payload.id)) return prev;
               const copy = new Map(prev);
@@ -408,27 +1755,177 @@ export default function App() {
           case "proximity":
             if (data.payload.selfId === selfIdRef.current) {
               setNearby(data.payload.nearby || []);
+              setZone(data.payload.zone || null);
+              zoneRef.current = data.payload.zone || null; // now, for chat messages right behind this
             }
             break;
 
           case "chat":
-            { const { senderId, senderName, message, timestamp } = data.payload;
-            const newMessage = {
-              id: `${senderId}-${timestamp}`,
-              senderId,
-              senderName,
-              message,
-              timestamp,
-              isOwn: senderId === selfIdRef.current
-            };
-
-            setChatMessages(prev => [...prev, newMessage]);
+            { const newMessage = data.payload;
+            setTypingIds(prev => withoutKey(prev, newMessage.senderId)); // sending ends typing
+            // Sent to the conversation we were in before crossing a zone edge
+            if (newMessage.channel !== nearbyChannel(zoneRef.current)) break;
+            setChatMessages(prev => mergeChatMessages(prev, [newMessage], selfIdRef.current));
             console.log("Received chat message:", newMessage);
             break; }
 
+          case "dm":
+            { const message = data.payload;
+            const own = message.senderId === selfIdRef.current;
+            const peerId = own ? message.to : message.senderId;
+            setDmMessages(prev => {
+              const copy = new Map(prev);
+              copy.set(peerId, mergeChatMessages(prev.get(peerId) || [], [message], selfIdRef.current));
+              return copy;
+            });
+            if (!own && openChatViewRef.current !== `dm:${peerId}`) {
+              setDmUnread(prev => new Map(prev).set(peerId, (prev.get(peerId) || 0) + 1));
+            }
+            break; }
+
+          case "announcement":
+            { const message = data.payload;
+            setAnnouncements(prev => mergeChatMessages(prev, [message], selfIdRef.current));
+            if (message.senderId !== selfIdRef.current && openChatViewRef.current !== "announcements") {
+              setAnnouncementsUnread(n => n + 1);
+            }
+            break; }
+
+          case "chat_updated":
+            { const { message } = data.payload;
+            const replace = (messages) => replaceChatMessage(messages, message, selfIdRef.current);
+            if (message.channel === "announcements") {
+              setAnnouncements(replace);
+            } else if (message.channel.startsWith("dm:")) {
+              const peerId = message.senderId === selfIdRef.current ? message.to : message.senderId;
+              setDmMessages(prev => (prev.has(peerId) ? new Map(prev).set(peerId, replace(prev.get(peerId))) : prev));
+            } else {
+              setChatMessages(replace);
+            }
+            break; }
+
+          case "typing_start":
+            { const typerId = data.payload.id;
+            setTypingIds(prev => new Map(prev).set(typerId, Date.now() + TYPING_TIMEOUT_MS));
+            setTimeout(() => {
+              setTypingIds(prev => (prev.get(typerId) <= Date.now() ? withoutKey(prev, typerId) : prev));
+            }, TYPING_TIMEOUT_MS);
+            break; }
+
+          case "typing_stop":
+            setTypingIds(prev => withoutKey(prev, data.payload.id));
+            break;
+
+          case "chat_seen":
+            { const { id: readerId, channel, messageIds } = data.payload;
+            if (channel !== nearbyChannel(zoneRef.current)) break;
+            setChatMessages(prev => prev.map((msg) =>
+              messageIds.includes(msg.id) && !msg.seenBy?.includes(readerId)
+                ? { ...msg, seenBy: [...(msg.seenBy || []), readerId] }
+                : msg
+            ));
+            break; }
+
+          case "mention":
+            { const { message } = data.payload;
+            setMentionToasts(prev => [...prev.filter((m) => m.id !== message.id), message]);
+            setTimeout(() => setMentionToasts(prev => prev.filter((m) => m.id !== message.id)), MENTION_TOAST_MS);
+            break; }
+
+          case "chat_history":
+            { const { scope, channel, with: peerId, messages, hasMore, catchUp } = data.payload;
+            const view = scope === "dm" ? `dm:${peerId}` : scope;
+            if (scope === "nearby") {
+              if (channel !== nearbyChannel(zoneRef.current)) break; // answer for a conversation we've since left
+              setChatMessages(prev => mergeChatMessages(prev, messages, selfIdRef.current));
+            } else if (scope === "dm") {
+              setDmMessages(prev => new Map(prev).set(peerId, mergeChatMessages(prev.get(peerId) || [], messages, selfIdRef.current)));
+            } else if (scope === "announcements") {
+              setAnnouncements(prev => mergeChatMessages(prev, messages, selfIdRef.current));
+            }
+            if (!catchUp) {
+              setChatHistory(prev => (prev.view === view ? { view, loading: false, hasMore: Boolean(hasMore) } : prev));
+            }
+            break; }
+
+          case "correction":
+            { const { x, y, reason } = data.payload;
+            console.log(`Move corrected (${reason}) to ${x}, ${y}`);
+            const selfIdNow = selfIdRef.current;
+            setParticipantsMap((prev) => {
+              const copy = new Map(prev);
+              const self = copy.get(selfIdNow);
+              if (self) copy.set(selfIdNow, { ...self, x, y });
+              return copy;
+            });
+            if (reason === "blocked" || reason === "teleport") {
+              // Walked into a wall or through a portal: stop there
+              startPositionRef.current = null;
+              pathRef.current = [];
+              setIsMoving(false);
+              setTargetPosition(null);
+            } else if (startPositionRef.current) {
+              // Too fast: carry on towards the target from where the server put us
+              startPositionRef.current = { x, y };
+              animationStartTimeRef.current = performance.now();
+            }
+            break; }
+
+          case "object_created":
+          case "object_updated":
+            { const { object } = data.payload;
+            setObjects((prev) => new Map(prev).set(object.id, object));
+            setObjectError(null);
+            break; }
+
+          case "object_deleted":
+            setObjects((prev) => {
+              const copy = new Map(prev);
+              copy.delete(data.payload.id);
+              return copy;
+            });
+            break;
+
+          // Whiteboard traffic only matters for the board we have open
+          case "board_state":
+            { const { id: boardId, strokes } = data.payload;
+            setBoard((prev) => (prev?.id === boardId ? { id: boardId, strokes, loading: false } : prev));
+            break; }
+
+          case "board_stroke":
+            { const { id: boardId, stroke, points } = data.payload;
+            setBoard((prev) =>
+              prev?.id === boardId && !prev.loading
+                ? { ...prev, strokes: addStrokePoints(prev.strokes, stroke, points) }
+                : prev
+            );
+            break; }
+
+          case "board_undone":
+            { const { id: boardId, strokeId } = data.payload;
+            setBoard((prev) =>
+              prev?.id === boardId ? { ...prev, strokes: prev.strokes.filter((s) => s.id !== strokeId) } : prev
+            );
+            break; }
+
+          case "board_cleared":
+            setBoard((prev) => (prev?.id === data.payload.id ? { ...prev, strokes: [] } : prev));
+            break;
+
+          case "object_error":
+            console.log("Object error:", data.payload.message);
+            setObjectError(data.payload.message);
+            break;
+
           case "chat_error":
             console.log("Chat error:", data.payload.message);
-            // Optionally show error to user
+            setChatError(data.payload.message);
+            break;
+
+          case "rtc_offer":
+          case "rtc_answer":
+          case "rtc_ice":
+            handleRtcSignal(data.type, data.payload);
             break;
         }
       } catch (err) {
@@ -472,7 +1969,7 @@ export default function App() {
       console.error("WebSocket error:", err);
       setDebugInfo((prev) => ({ ...prev, wsState: "ERROR" }));
     };
-  }, [gameState, reconnectAttempts]);
+  }, [gameState, reconnectAttempts, closePeer, handleRtcSignal, pushSnapshot]);
 
   // Canvas rendering effect - only depends on gameState
   useEffect(() => {
@@ -486,10 +1983,9 @@ export default function App() {
     const ctx = canvas.getContext("2d");
     let mounted = true;
 
-    // Set canvas to actual room size
-    const roomData = { width: 1600, height: 900 };
-    canvas.width = roomData.width;
-    canvas.height = roomData.height;
+    // Fixed backing size; the camera picks which part of the room fills it
+    canvas.width = VIEW_WIDTH;
+    canvas.height = VIEW_HEIGHT;
     canvas.style.width = `100%`; // Make it responsive
     canvas.style.height = `auto`; // Maintain aspect ratio
     canvas.style.maxWidth = `800px`; // Limit maximum size
@@ -498,9 +1994,32 @@ export default function App() {
     function draw() {
       if (!mounted) return;
 
-      // Clear canvas with dark space background
-      ctx.fillStyle = "#020617";
-      ctx.fillRect(0, 0, roomData.width, roomData.height);
+      const roomData = roomRef.current || DEFAULT_ROOM;
+
+      // Camera: follow self unless the user has panned away, always inside the room
+      const followed = participantsRef.current.get(selfIdRef.current);
+      if (followSelfRef.current && followed) {
+        cameraRef.current = { ...cameraRef.current, x: followed.x, y: followed.y };
+      }
+      const camera = (cameraRef.current = clampCamera(cameraRef.current, roomData));
+
+      // Outside the room, then everything below in world coordinates
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = "#000000";
+      ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+      ctx.setTransform(...cameraTransform(camera));
+
+      // Room map (tiles from the server's Tiled file), or plain space for servers without maps
+      const map = roomData.map;
+      if (map) {
+        if (mapImageRef.current?.map !== map) {
+          mapImageRef.current = { map, image: renderMapImage(map) };
+        }
+        ctx.drawImage(mapImageRef.current.image, 0, 0);
+      } else {
+        ctx.fillStyle = "#020617";
+        ctx.fillRect(0, 0, roomData.width, roomData.height);
+      }
 
       // Add subtle gradient overlay for depth
       const gradient = ctx.createRadialGradient(
@@ -518,7 +2037,8 @@ export default function App() {
       ctx.setLineDash([1, 4]);
       
       // Vertical lines
-      for (let x = 0; x <= roomData.width; x += 50) {
+      const gridSize = map?.tileSize || 50;
+      for (let x = 0; x <= roomData.width; x += gridSize) {
         ctx.beginPath();
         ctx.moveTo(x, 0);
         ctx.lineTo(x, roomData.height);
@@ -526,7 +2046,7 @@ export default function App() {
       }
       
       // Horizontal lines
-      for (let y = 0; y <= roomData.height; y += 50) {
+      for (let y = 0; y <= roomData.height; y += gridSize) {
         ctx.beginPath();
         ctx.moveTo(0, y);
         ctx.lineTo(roomData.width, y);
@@ -535,11 +2055,49 @@ export default function App() {
       
       ctx.setLineDash([]);
 
-      const participants = participantsRef.current;
+      // Named zones from the map
+      for (const zone of map?.zones || []) {
+        ctx.strokeStyle = zone.private ? "rgba(168, 85, 247, 0.8)" : "rgba(168, 85, 247, 0.5)";
+        ctx.lineWidth = 2;
+        ctx.setLineDash(zone.private ? [] : [8, 6]);
+        ctx.beginPath();
+        if (zone.polygon) {
+          zone.polygon.forEach((pt, i) => (i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y)));
+          ctx.closePath();
+        } else {
+          ctx.rect(zone.x, zone.y, zone.width, zone.height);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = "rgba(216, 180, 254, 0.8)";
+        ctx.font = "bold 14px monospace";
+        ctx.textAlign = "left";
+        ctx.fillText(`${zone.private ? "🔒 " : ""}${zone.name.toUpperCase()}`, zone.x + 8, zone.y + 20);
+      }
+
       const selfId = selfIdRef.current;
       const nearby = nearbyRef.current;
-      const targetPos = targetPositionRef.current;
+
+      // Placed objects sit under the avatars; the one in reach is outlined
+      const objects = objectsRef.current;
+      const selfNow = participantsRef.current.get(selfId);
+      const activeObject = selfNow ? nearestObject(objects, selfNow.x, selfNow.y) : null;
+      for (const object of objects.values()) {
+        drawObject(ctx, object, performance.now(), object === activeObject);
+      }
+
+      // Remote avatars are played back from the interpolation buffer; self is predicted locally
+      const renderTime = performance.now() - INTERPOLATION_DELAY_MS;
+      const participants = new Map();
+      for (const [id, participant] of participantsRef.current) {
+        const samples = id === selfId ? null : interpolationRef.current.get(id);
+        const position = samples?.length ? sampleAt(samples, renderTime) : null;
+        participants.set(id, position ? { ...participant, x: position.x, y: position.y } : participant);
+      }
       const moving = isMovingRef.current;
+      const legTarget = targetPositionRef.current;
+      const remainingPath = pathRef.current;
+      const targetPos = remainingPath.length > 0 ? remainingPath[remainingPath.length - 1] : legTarget;
       const selfParticipant = selfId ? participants.get(selfId) : null;
 
       // Draw target indicator if moving
@@ -566,15 +2124,18 @@ export default function App() {
         ctx.lineTo(targetPos.x, targetPos.y + 10);
         ctx.stroke();
 
-        // Movement trail line
+        // Planned path as a dotted line through the remaining waypoints
         ctx.beginPath();
-        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
-        ctx.lineWidth = 1;
-        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+        ctx.lineWidth = 2;
+        ctx.lineCap = "round";
+        ctx.setLineDash([1, 7]);
         ctx.moveTo(selfParticipant.x, selfParticipant.y);
-        ctx.lineTo(targetPos.x, targetPos.y);
+        if (legTarget) ctx.lineTo(legTarget.x, legTarget.y);
+        for (const waypoint of remainingPath) ctx.lineTo(waypoint.x, waypoint.y);
         ctx.stroke();
         ctx.setLineDash([]);
+        ctx.lineCap = "butt";
       }
 
       // Draw proximity radius for self
@@ -610,11 +2171,28 @@ export default function App() {
         }
       }
 
-      // Draw all participants with enhanced animation
-      for (const [id, participant] of participants) {
+      // Draw all participants, back to front so lower avatars overlap the ones behind them
+      const frameTime = performance.now();
+      const motion = avatarMotionRef.current;
+      const ordered = Array.from(participants.entries()).sort((a, b) => a[1].y - b[1].y);
+      for (const [id, participant] of ordered) {
         const isSelf = id === selfId;
         const isCurrentlyMoving = isSelf && moving;
 
+        // Facing and walk cycle come from how the avatar moved since the last frame
+        const last = motion.get(id);
+        const dx = last ? participant.x - last.x : 0;
+        const dy = last ? participant.y - last.y : 0;
+        const stepped = Math.abs(dx) + Math.abs(dy) > 0.5;
+        const pose = {
+          x: participant.x,
+          y: participant.y,
+          direction: stepped ? directionFromDelta(dx, dy) : last?.direction ?? "down",
+          walkingUntil: stepped ? frameTime + AVATAR_WALK_HOLD_MS : last?.walkingUntil ?? 0,
+        };
+        motion.set(id, pose);
+        const walking = isCurrentlyMoving || frameTime < pose.walkingUntil;
+
         // Enhanced glow effect for moving avatar
         ctx.beginPath();
         if (isCurrentlyMoving) {
@@ -629,15 +2207,27 @@ export default function App() {
         }
         ctx.fill();
 
-        // Main avatar circle
-        ctx.beginPath();
-        ctx.fillStyle = participant.color || "#22c1ff";
-        const avatarSize = isSelf ? (isCurrentlyMoving ? 16 : 15) : 12;
-        ctx.arc(participant.x, participant.y, avatarSize, 0, Math.PI * 2);
-        ctx.fill();
+        if (participant.avatar) {
+          // Ring at our own feet, then the sprite: walk frames while moving, idle otherwise
+          if (isSelf) {
+            ctx.beginPath();
+            ctx.strokeStyle = "#ffffff";
+            ctx.lineWidth = isCurrentlyMoving ? 3 : 2;
+            ctx.ellipse(participant.x, participant.y, 14, 5, 0, 0, Math.PI * 2);
+            ctx.stroke();
+          }
+          drawAvatar(ctx, participant.avatar, participant.x, participant.y, pose.direction, walking ? walkFrame(frameTime) : 0);
+        } else {
+          // Servers without avatars: plain circle
+          ctx.beginPath();
+          ctx.fillStyle = participant.color || "#22c1ff";
+          const avatarSize = isSelf ? (isCurrentlyMoving ? 16 : 15) : 12;
+          ctx.arc(participant.x, participant.y, avatarSize, 0, Math.PI * 2);
+          ctx.fill();
+        }
 
         // Enhanced border for self
-        if (isSelf) {
+        if (isSelf && !participant.avatar) {
           ctx.beginPath();
           ctx.strokeStyle = isCurrentlyMoving ? "#ffffff" : "#ffffff";
           ctx.lineWidth = isCurrentlyMoving ? 4 : 3;
@@ -663,8 +2253,119 @@ export default function App() {
 
         ctx.fillStyle = isSelf ? "#ffffff" : "#22c1ff";
         ctx.fillText(displayName, nameX, nameY);
+
+        // Status badge by the head
+        const statusInfo = STATUSES[participant.status];
+        if (statusInfo) {
+          const badgeX = participant.x + 11;
+          const badgeY = participant.y - (participant.avatar ? 42 : 12);
+          ctx.beginPath();
+          ctx.fillStyle = statusInfo.color;
+          ctx.strokeStyle = "#020617";
+          ctx.lineWidth = 2;
+          ctx.arc(badgeX, badgeY, 5, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.stroke();
+          if (participant.status === "dnd") {
+            ctx.fillStyle = "#ffffff";
+            ctx.fillRect(badgeX - 3, badgeY - 1, 6, 2);
+          }
+        }
+
+        // Speech bubble with bouncing dots while they type to us
+        if (typingRef.current.get(id) > Date.now() && nearby.includes(id)) {
+          const bubbleX = participant.x - 24;
+          const bubbleY = participant.y - (participant.avatar ? 50 : 20);
+          ctx.fillStyle = "rgba(248, 250, 252, 0.95)";
+          ctx.beginPath();
+          ctx.roundRect(bubbleX - 12, bubbleY - 7, 24, 14, 6);
+          ctx.moveTo(bubbleX + 4, bubbleY + 6);
+          ctx.lineTo(bubbleX + 10, bubbleY + 12);
+          ctx.lineTo(bubbleX + 9, bubbleY + 5);
+          ctx.fill();
+          ctx.fillStyle = "#334155";
+          for (let i = 0; i < 3; i++) {
+            const bounce = Math.sin(frameTime / 150 - i) > 0.6 ? 2 : 0;
+            ctx.beginPath();
+            ctx.arc(bubbleX - 6 + i * 6, bubbleY - bounce, 2, 0, Math.PI * 2);
+            ctx.fill();
+          }
+        }
+
+        // Emotes float up from above the head and fade out
+        const floating = emotesRef.current.get(id);
+        if (floating) {
+          const live = floating.filter((e) => frameTime - e.startedAt < EMOTE_DURATION_MS);
+          if (live.length === 0) {
+            emotesRef.current.delete(id);
+          } else {
+            emotesRef.current.set(id, live);
+            ctx.font = "24px system-ui, sans-serif";
+            ctx.textAlign = "center";
+            live.forEach((e, i) => {
+              const progress = (frameTime - e.startedAt) / EMOTE_DURATION_MS;
+              ctx.globalAlpha = 1 - progress * progress;
+              ctx.fillText(
+                EMOTES.find((emote) => emote.id === e.emote)?.icon ?? "❔",
+                participant.x + (i - (live.length - 1) / 2) * 26,
+                participant.y - (participant.avatar ? 56 : 24) - progress * 40
+              );
+            });
+            ctx.globalAlpha = 1;
+          }
+        }
+
+        // Live screen-share thumbnail; click it to expand
+        const screenVideo = screenVideosRef.current.get(id);
+        if (screenVideo) {
+          const thumb = screenThumbnailRect(participant);
+          ctx.fillStyle = "#020617";
+          ctx.fillRect(thumb.x, thumb.y, thumb.width, thumb.height);
+          if (screenVideo.readyState >= 2) {
+            ctx.drawImage(screenVideo, thumb.x, thumb.y, thumb.width, thumb.height);
+          }
+          ctx.strokeStyle = "#22c1ff";
+          ctx.lineWidth = 2;
+          ctx.strokeRect(thumb.x, thumb.y, thumb.width, thumb.height);
+          ctx.font = "10px system-ui, sans-serif";
+          ctx.textAlign = "left";
+          ctx.fillText("🖥", thumb.x + 3, thumb.y + 12);
+        }
+      }
+      for (const id of motion.keys()) {
+        if (!participants.has(id)) motion.delete(id);
+      }
+
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+      // Minimap frame around what the camera shows
+      const view = cameraRect(camera);
+      const frame = minimapViewportRef.current;
+      if (frame) {
+        frame.style.left = `${(Math.max(0, view.x) / roomData.width) * 100}%`;
+        frame.style.top = `${(Math.max(0, view.y) / roomData.height) * 100}%`;
+        frame.style.width = `${(Math.min(view.width, roomData.width) / roomData.width) * 100}%`;
+        frame.style.height = `${(Math.min(view.height, roomData.height) / roomData.height) * 100}%`;
+      }
+
+      // Tell the server what we can see (interest management), throttled
+      const report = viewportReportRef.current;
+      const ws = wsRef.current;
+      const rounded = {
+        x: Math.round(view.x),
+        y: Math.round(view.y),
+        width: Math.round(view.width),
+        height: Math.round(view.height),
+      };
+      const changed = !report.rect || Object.keys(rounded).some((k) => rounded[k] !== report.rect[k]);
+      const now = performance.now();
+      if (changed && now - report.t >= VIEWPORT_REPORT_INTERVAL_MS && ws?.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: "viewport", payload: rounded }));
+        viewportReportRef.current = { t: now, rect: rounded };
       }
 
+      updateSpatialAudio();
+
       rafRef.current = requestAnimationFrame(draw);
     }
 
@@ -676,11 +2377,13 @@ export default function App() {
         cancelAnimationFrame(rafRef.current);
       }
     };
-  }, [gameState]);
+  }, [gameState, updateSpatialAudio]);
 
   // Join nexus handler
   const handleJoinNexus = () => {
     if (!callsign.trim()) return;
+    if (!roomChoice.trim()) setRoomChoice(DEFAULT_ROOM.id);
+    ensureAudioContext(); // unlock spatial audio while we have a user gesture
     setGameState("main");
     connect(callsign.trim());
   };
@@ -699,6 +2402,11 @@ export default function App() {
     }
 
     if (wsRef.current) {
+      // Tell the server this is deliberate so it skips the reconnect grace window
+      if (wsRef.current.readyState === WebSocket.OPEN) {
+        wsRef.current.send(JSON.stringify({ type: "leave", payload: {} }));
+      }
+
       // Clean up event handlers before closing
       wsRef.current.onopen = null;
       wsRef.current.onmessage = null;
@@ -708,20 +2416,26 @@ export default function App() {
       wsRef.current = null;
     }
 
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    closeAllPeers();
     setGameState("login");
     setCallsign("");
     setSelfId(null);
     setRoom(null);
     setParticipantsMap(new Map());
     setNearby([]);
+    setZone(null);
+    setBoard(null);
+    setAttachment(null); // uploads don't outlive the session
     setConnected(false);
   };
 
   // Test move button for debugging
   const handleTestMove = () => {
     console.log(`Test move button clicked`);
-    const targetX = Math.random() * 1600;
-    const targetY = Math.random() * 900;
+    const roomData = room || DEFAULT_ROOM;
+    const targetX = Math.random() * roomData.width;
+    const targetY = Math.random() * roomData.height;
 
     // Simulate click behavior
     if (!selfId) return;
@@ -732,33 +2446,295 @@ export default function App() {
     const startPos = { x: currentParticipant.x, y: currentParticipant.y };
     const targetPos = { x: Math.round(targetX), y: Math.round(targetY) };
 
-    setTargetPosition(targetPos);
-    setIsMoving(true);
-    startPositionRef.current = startPos;
-    animationStartTimeRef.current = performance.now();
+    startWalk(startPos, targetPos);
   };
 
   // Send chat message
+  const sendChatAction = useCallback((type, payload) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type, payload }));
+  }, []);
+
+  // Typing indicator: typing_start when we begin and every TYPING_REFRESH_MS while composing,
+  // typing_stop once idle. Sending the message needs no stop; others clear on the chat itself.
+  const stopTyping = useCallback((announce = true) => {
+    const local = localTypingRef.current;
+    clearTimeout(local.idleTimer);
+    local.idleTimer = null;
+    if (!local.sentAt) return;
+    local.sentAt = 0;
+    if (announce) sendChatAction("typing_stop", {});
+  }, [sendChatAction]);
+
+  const noteTyping = useCallback(() => {
+    const local = localTypingRef.current;
+    const t = Date.now();
+    if (t - local.sentAt >= TYPING_REFRESH_MS) {
+      local.sentAt = t;
+      sendChatAction("typing_start", {});
+    }
+    clearTimeout(local.idleTimer);
+    local.idleTimer = setTimeout(() => stopTyping(), TYPING_IDLE_MS);
+  }, [sendChatAction, stopTyping]);
+
+  // Leaving the conversation (tab, zone or room) ends typing in it
+  useEffect(() => {
+    stopTyping();
+  }, [chatView, chatChannel, stopTyping]);
+
+  // Read receipts: while the nearby conversation is on screen, report the newest message
+  // from someone else, at most once per SEEN_INTERVAL_MS
+  const seenTarget = showChat && chatTab === "nearby" && nearby.length > 0
+    ? chatMessages.findLast((msg) => !msg.isOwn && !msg.deleted)?.id ?? 0
+    : 0;
+  useEffect(() => {
+    const seen = seenRef.current;
+    seen.target = seenTarget;
+    if (seen.target <= seen.upTo || seen.timer) return;
+    seen.timer = setTimeout(() => {
+      seen.timer = null;
+      if (seen.target <= seen.upTo) return;
+      seen.upTo = seen.target;
+      seen.sentAt = Date.now();
+      sendChatAction("chat_seen", { upTo: seen.upTo });
+    }, Math.max(0, seen.sentAt + SEEN_INTERVAL_MS - Date.now()));
+  }, [seenTarget, sendChatAction]);
+
+  const clearAttachment = useCallback(() => {
+    setAttachment((current) => {
+      if (current?.previewUrl) URL.revokeObjectURL(current.previewUrl);
+      return null;
+    });
+  }, []);
+
+  // Dropped or pasted files are uploaded straight away and sent with the next message
+  const uploadAttachment = useCallback(async (file) => {
+    const problem = uploadProblem(file);
+    if (problem) {
+      setChatError(problem);
+      return;
+    }
+    const sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!sessionToken) return;
+    setUploading(true);
+    setChatError(null);
+    try {
+      const res = await fetch(`${API_URL}/uploads`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${sessionToken}`,
+          "Content-Type": file.type,
+          "X-File-Name": encodeURIComponent(file.name || "pasted"),
+        },
+        body: file,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+      clearAttachment();
+      setAttachment({
+        ...data.upload,
+        previewUrl: file.type.startsWith("image/") ? URL.createObjectURL(file) : undefined,
+      });
+      chatInputRef.current?.focus();
+    } catch (e) {
+      setChatError(e.message || "Upload failed");
+    } finally {
+      setUploading(false);
+    }
+  }, [clearAttachment]);
+
+  const canAttach = !editingMessage && chatTab !== "announcements";
+
+  const handleChatPaste = useCallback((e) => {
+    const file = e.clipboardData?.files?.[0];
+    if (!file || !canAttach) return;
+    e.preventDefault();
+    uploadAttachment(file);
+  }, [canAttach, uploadAttachment]);
+
+  const handleChatDragOver = useCallback((e) => {
+    if (!canAttach || !e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDragActive(true);
+  }, [canAttach]);
+
+  const handleChatDrop = useCallback((e) => {
+    setDragActive(false);
+    const file = e.dataTransfer?.files?.[0];
+    if (!file || !canAttach) return;
+    e.preventDefault();
+    uploadAttachment(file);
+  }, [canAttach, uploadAttachment]);
+
   const sendChatMessage = useCallback(() => {
     const message = sanitizeInput(chatInput);
-    if (!message || !wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+    const attachmentId = editingMessage ? undefined : attachment?.id;
+    if ((!message && !attachmentId) || uploading || !wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
       return;
     }
 
-    const chatData = {
-      type: "chat",
-      payload: { message }
-    };
+    // Only mentions still in the text count (the server checks too)
+    const mentions = composeMentions.filter((id) => {
+      const name = participantsMap.get(id)?.name;
+      return name && message.includes(`@${name}`);
+    });
+    let chatData;
+    if (editingMessage) {
+      chatData = { type: "chat_edit", payload: { id: editingMessage.id, message, mentions } };
+    } else if (chatTab === "direct") {
+      if (!dmPeer) return;
+      chatData = { type: "dm", payload: { to: dmPeer, message, attachment: attachmentId } };
+    } else if (chatTab === "announcements") {
+      if (!message) return;
+      chatData = { type: "announce", payload: { message, mentions } };
+    } else {
+      chatData = { type: "chat", payload: { message, mentions, attachment: attachmentId } };
+    }
 
     console.log("Sending chat message:", message);
     wsRef.current.send(JSON.stringify(chatData));
+    stopTyping(chatData.type !== "chat");
     setChatInput("");
-  }, [chatInput]);
+    setChatError(null);
+    setComposeMentions([]);
+    setMentionMenu(null);
+    setEditingMessage(null);
+    if (attachmentId) clearAttachment();
+  }, [chatInput, chatTab, dmPeer, composeMentions, editingMessage, attachment, uploading, participantsMap, stopTyping, clearAttachment]);
+
+  // Edit in the chat input; SEND saves, Escape cancels
+  const startEditingMessage = useCallback((msg) => {
+    setEditingMessage(msg);
+    setChatInput(msg.message);
+    setComposeMentions(msg.mentions?.map((m) => m.id) ?? []);
+    setMentionMenu(null);
+    chatInputRef.current?.focus();
+  }, []);
+
+  const cancelEditingMessage = useCallback(() => {
+    setEditingMessage(null);
+    setChatInput("");
+    setComposeMentions([]);
+  }, []);
+
+  // @mention autocomplete: people in the room whose name starts with what's typed after @
+  const mentionSuggestions = useMemo(() => {
+    if (!mentionMenu) return [];
+    const query = mentionMenu.query.toLowerCase();
+    return Array.from(participantsMap.values())
+      .filter((q) => q.id !== selfId && q.name.toLowerCase().startsWith(query))
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  }, [mentionMenu, participantsMap, selfId]);
+
+  const handleChatInputChange = useCallback((e) => {
+    const { value, selectionStart } = e.target;
+    setChatInput(value);
+    const mention = chatTab === "direct" ? null : mentionAt(value, selectionStart ?? value.length);
+    setMentionMenu(mention && { ...mention, index: 0 });
+    if (chatTab === "nearby" && value.trim()) noteTyping();
+    else stopTyping();
+  }, [chatTab, noteTyping, stopTyping]);
+
+  const pickMention = useCallback((participant) => {
+    if (!mentionMenu) return;
+    const input = chatInputRef.current;
+    const caret = input?.selectionStart ?? chatInput.length;
+    const before = `${chatInput.slice(0, mentionMenu.start)}@${participant.name} `;
+    setChatInput((before + chatInput.slice(caret)).slice(0, 200));
+    setComposeMentions((prev) => (prev.includes(participant.id) ? prev : [...prev, participant.id]));
+    setMentionMenu(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(before.length, before.length);
+    });
+  }, [mentionMenu, chatInput]);
+
+  // Arrow keys, Tab/Enter and Escape drive the autocomplete; Escape also cancels an edit
+  const handleChatKeyDown = useCallback((e) => {
+    if (mentionSuggestions.length > 0) {
+      const count = mentionSuggestions.length;
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : count - 1;
+        setMentionMenu((menu) => menu && { ...menu, index: (menu.index + step) % count });
+        return;
+      }
+      if (e.key === "Tab" || e.key === "Enter") {
+        e.preventDefault();
+        pickMention(mentionSuggestions[Math.min(mentionMenu.index, count - 1)]);
+        return;
+      }
+    }
+    if (e.key === "Escape") {
+      if (mentionMenu) setMentionMenu(null);
+      else if (editingMessage) cancelEditingMessage();
+    }
+  }, [mentionSuggestions, mentionMenu, pickMention, editingMessage, cancelEditingMessage]);
+
+  // Open the conversation a mention came from
+  const openMention = useCallback((message) => {
+    setMentionToasts((prev) => prev.filter((m) => m.id !== message.id));
+    setChatTab(message.channel === "announcements" ? "announcements" : "nearby");
+    setShowChat(true);
+  }, []);
+
+  // Emotes go to whoever is nearby, or the whole room with `toRoom`
+  const sendEmote = useCallback((emote, toRoom = false) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: "emote", payload: { emote, scope: toRoom ? "room" : "proximity" } }));
+  }, []);
+
+  const sendStatus = useCallback((status) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: "status", payload: { status } }));
+  }, []);
+
+  // Objects are placed where we stand and edited in the panel that opens next to them
+  const sendObjectMessage = useCallback((type, payload) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    setObjectError(null);
+    ws.send(JSON.stringify({ type, payload }));
+  }, []);
+
+  // Opening a board fetches its strokes; drawing waits until they've arrived
+  const openBoard = (id) => {
+    setBoard({ id, strokes: [], loading: true });
+    sendObjectMessage("board_open", { id });
+  };
 
-  // Chat message sanitization
+  const drawOnBoard = useCallback((stroke, points) => {
+    setBoard((prev) => (prev ? { ...prev, strokes: addStrokePoints(prev.strokes, stroke, points) } : prev));
+  }, []);
+
+  // Close the board once we walk away from it or it's removed
+  useEffect(() => {
+    if (!board) return;
+    const object = objects.get(board.id);
+    const self = participantsMap.get(selfId);
+    if (!object || !self || Math.hypot(object.x - self.x, object.y - self.y) > BOARD_RANGE_PX) {
+      setBoard(null);
+    }
+  }, [board, objects, participantsMap, selfId]);
+
+  const placeObject = (type) => {
+    const self = participantsMap.get(selfId);
+    if (!self) return;
+    sendObjectMessage("object_create", {
+      type,
+      x: Math.round(self.x),
+      y: Math.round(self.y),
+      state: defaultObjectState(type, room || DEFAULT_ROOM),
+    });
+  };
+
+  // Chat message sanitization (markup is escaped when rendered, not stripped here)
   const sanitizeInput = (input) => {
     return input
-      .replace(/[<>]/g, '') // Remove potential HTML
       .slice(0, 200) // Limit length
       .trim();
   };
@@ -786,8 +2762,15 @@ export default function App() {
       if (heartbeatIntervalRef.current) {
         clearInterval(heartbeatIntervalRef.current);
       }
+      closeAllPeers();
+      if (audioContextRef.current) {
+        audioContextRef.current.close().catch(() => {});
+        audioContextRef.current = null;
+      }
     };
-  }, []);
+  }, [closeAllPeers]);
+
+  const minimapWalls = useMemo(() => (room?.map ? blockedRuns(room.map) : []), [room]);
 
   // Login Screen
   if (gameState === "login") {
@@ -808,15 +2791,42 @@ export default function App() {
               <label className="block text-cyan-300 text-sm font-mono mb-2">
                 CALLSIGN_IDENTIFIER
               </label>
+              <div className="flex items-center space-x-3">
+                <AvatarPreview avatar={avatar} />
+                <input
+                  type="text"
+                  value={callsign}
+                  onChange={(e) => setCallsign(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleJoinNexus()}
+                  placeholder="Enter your callsign..."
+                  className="flex-1 min-w-0 bg-slate-700/50 border border-cyan-500/50 rounded-lg px-4 py-3 text-white font-mono placeholder-slate-400 focus:outline-none focus:border-cyan-400 focus:ring-2 focus:ring-cyan-400/20"
+                  maxLength={32}
+                />
+              </div>
+              <AvatarPicker avatar={avatar} onChange={setAvatar} />
+            </div>
+
+            <div>
+              <label className="block text-cyan-300 text-sm font-mono mb-2">
+                SECTOR
+              </label>
               <input
                 type="text"
-                value={callsign}
-                onChange={(e) => setCallsign(e.target.value)}
+                list="nexus-rooms"
+                value={roomChoice}
+                onChange={(e) => setRoomChoice(e.target.value.toLowerCase())}
                 onKeyDown={(e) => e.key === "Enter" && handleJoinNexus()}
-                placeholder="Enter your callsign..."
+                placeholder={DEFAULT_ROOM.id}
                 className="w-full bg-slate-700/50 border border-cyan-500/50 rounded-lg px-4 py-3 text-white font-mono placeholder-slate-400 focus:outline-none focus:border-cyan-400 focus:ring-2 focus:ring-cyan-400/20"
                 maxLength={32}
               />
+              <datalist id="nexus-rooms">
+                {availableRooms.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.name} ({r.occupancy} online)
+                  </option>
+                ))}
+              </datalist>
             </div>
 
             <button
@@ -839,8 +2849,53 @@ export default function App() {
   }
 
   // Main Game View
+  const roomInfo = room || DEFAULT_ROOM;
+  const isModerator = participantsMap.get(selfId)?.moderator === true;
+  const chatOpen = showChat && (nearby.length > 0 || chatTab !== "nearby");
+  const totalDmUnread = Array.from(dmUnread.values()).reduce((sum, n) => sum + n, 0);
+  // Everyone we have a direct conversation with, newest first; names outlive a peer leaving
+  const dmPeers = Array.from(new Set([...(dmPeer ? [dmPeer] : []), ...Array.from(dmMessages.keys()).reverse()]));
+  const dmPeerName = (peerId) =>
+    participantsMap.get(peerId)?.name ||
+    dmMessages.get(peerId)?.find((msg) => msg.senderId === peerId)?.senderName ||
+    "Guest";
+  const typingNames = chatTab === "nearby"
+    ? nearby.filter((id) => typingIds.has(id)).map((id) => participantsMap.get(id)?.name || "Guest")
+    : [];
+  const chatInputDisabled =
+    chatTab === "nearby" ? nearby.length === 0 :
+    chatTab === "direct" ? !dmPeer || !participantsMap.has(dmPeer) :
+    !isModerator;
+  const selfNow = participantsMap.get(selfId);
+  const activeObject = selfNow ? nearestObject(objects, selfNow.x, selfNow.y) : null;
+  // Mirrors the server: notes are everyone's, the rest their owner's until the owner leaves
+  const canEditActiveObject =
+    !!activeObject &&
+    (activeObject.type === "note" || activeObject.owner === selfId || !participantsMap.has(activeObject.owner));
   return (
     <div className="min-h-screen bg-slate-900 text-white font-mono">
+      {/* Expanded Screen Share */}
+      {expandedScreen && (
+        <ScreenSharePanel
+          stream={expandedScreen === selfId ? screenStream : remoteScreens.get(expandedScreen)}
+          label={expandedScreen === selfId ? "Your screen" : `${participantsMap.get(expandedScreen)?.name || "Guest"}'s screen`}
+          onClose={() => setExpandedScreen(null)}
+        />
+      )}
+
+      {/* Whiteboard */}
+      {board && (
+        <WhiteboardOverlay
+          board={board}
+          title={objects.get(board.id)?.state.title ?? "Whiteboard"}
+          onDraw={drawOnBoard}
+          onSend={(stroke, points) => sendObjectMessage("board_stroke", { id: board.id, stroke, points })}
+          onUndo={() => sendObjectMessage("board_undo", { id: board.id })}
+          onClear={() => sendObjectMessage("board_clear", { id: board.id })}
+          onClose={() => setBoard(null)}
+        />
+      )}
+
       {/* Header */}
       <div className="bg-slate-800 border-b border-cyan-500/30 p-4">
         <div className="flex justify-between items-center max-w-7xl mx-auto">
@@ -905,7 +2960,7 @@ export default function App() {
             <div>
               Room:{" "}
               <span className="text-white">
-                {room ? `${room.width}x${room.height}` : "default"}
+                {room ? `${room.id ?? "?"} ${room.width}x${room.height}` : "default"}
               </span>
             </div>
             {debugInfo.lastMousePos && (
@@ -932,19 +2987,101 @@ export default function App() {
       <div className="flex p-6 gap-6 max-w-7xl mx-auto">
         {/* Left Sidebar - Chat Panel */}
         <div className="w-80 flex-shrink-0">
-          {showChat && nearby.length > 0 && (
-            <div className="bg-slate-800/95 backdrop-blur-sm border border-cyan-500/30 rounded-lg shadow-2xl">
+          {/* Voice/Video Controls, outside the chat panel so mute stays in reach when it's closed */}
+          <div className="mb-3 p-3 bg-slate-800/95 backdrop-blur-sm border border-cyan-500/30 rounded-lg shadow-2xl">
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setMicEnabled((prev) => !prev)}
+                className={`flex-1 px-2 py-1 rounded text-xs font-bold transition-colors ${
+                  micEnabled
+                    ? 'bg-cyan-600/30 text-cyan-200 hover:bg-cyan-600/50'
+                    : 'bg-red-600/30 text-red-300 hover:bg-red-600/50'
+                }`}
+                title={micEnabled ? "Mute microphone" : "Unmute microphone"}
+              >
+                {micEnabled ? "🎙 MIC ON" : "🔇 MUTED"}
+              </button>
+              <button
+                onClick={() => setCameraEnabled((prev) => !prev)}
+                className={`flex-1 px-2 py-1 rounded text-xs font-bold transition-colors ${
+                  cameraEnabled
+                    ? 'bg-cyan-600/30 text-cyan-200 hover:bg-cyan-600/50'
+                    : 'bg-red-600/30 text-red-300 hover:bg-red-600/50'
+                }`}
+                title={cameraEnabled ? "Turn camera off" : "Turn camera on"}
+              >
+                {cameraEnabled ? "📹 CAM ON" : "🚫 CAM OFF"}
+              </button>
+              <button
+                onClick={screenStream ? stopScreenShare : startScreenShare}
+                className={`flex-1 px-2 py-1 rounded text-xs font-bold transition-colors ${
+                  screenStream
+                    ? 'bg-yellow-500/30 text-yellow-200 hover:bg-yellow-500/50'
+                    : 'bg-cyan-600/30 text-cyan-200 hover:bg-cyan-600/50'
+                }`}
+                title={screenStream ? "Stop sharing your screen" : "Share your screen with everyone nearby"}
+              >
+                {screenStream ? "⏹ STOP SHARE" : "🖥 SHARE"}
+              </button>
+            </div>
+            {remoteScreens.size > 0 && (
+              <div className="mt-2 space-y-1">
+                {Array.from(remoteScreens.keys()).map((peerId) => (
+                  <button
+                    key={peerId}
+                    onClick={() => setExpandedScreen(peerId)}
+                    className="w-full text-left px-2 py-1 rounded bg-slate-700/40 text-xs text-cyan-200 hover:bg-cyan-600/30 transition-colors truncate"
+                  >
+                    🖥 {participantsMap.get(peerId)?.name || "Guest"} is sharing — VIEW
+                  </button>
+                ))}
+              </div>
+            )}
+            {(localStream || remoteStreams.size > 0) && (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                {localStream && (
+                  <PeerVideo stream={localStream} label="You" />
+                )}
+                {Array.from(remoteStreams.entries()).map(([peerId, stream]) => (
+                  <PeerVideo
+                    key={peerId}
+                    stream={stream}
+                    label={participantsMap.get(peerId)?.name || "Guest"}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          {chatOpen && (
+            <div
+              onDragOver={handleChatDragOver}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+              }}
+              onDrop={handleChatDrop}
+              className={`bg-slate-800/95 backdrop-blur-sm border rounded-lg shadow-2xl ${
+                dragActive ? "border-cyan-300 ring-2 ring-cyan-400/50" : "border-cyan-500/30"
+              }`}
+            >
               {/* Chat Header with Close Button */}
               <div className="p-3 border-b border-cyan-500/20 bg-gradient-to-r from-slate-800/80 to-slate-700/80">
                 <div className="flex items-center justify-between">
                   <div className="text-cyan-300 font-bold text-sm flex items-center space-x-2">
                     <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-                    <span>PROXIMITY CHAT</span>
+                    <span>
+                      {chatTab === "direct"
+                        ? dmPeer ? `✉ ${dmPeerName(dmPeer).toUpperCase()}` : "DIRECT MESSAGES"
+                        : chatTab === "announcements"
+                          ? "📣 ANNOUNCEMENTS"
+                          : zone ? `🔒 ${zone.name.toUpperCase()}` : "PROXIMITY CHAT"}
+                    </span>
                   </div>
                   <div className="flex items-center space-x-2">
-                    <div className="text-xs text-slate-400 bg-slate-600/50 px-2 py-1 rounded">
-                      {nearby.length} nearby
-                    </div>
+                    {chatTab === "nearby" && (
+                      <div className="text-xs text-slate-400 bg-slate-600/50 px-2 py-1 rounded">
+                        {zone ? `${nearby.length + 1} inside` : `${nearby.length} nearby`}
+                      </div>
+                    )}
                     <button
                       onClick={() => setShowChat(false)}
                       className="text-slate-400 hover:text-red-400 transition-colors text-lg leading-none"
@@ -954,95 +3091,234 @@ export default function App() {
                     </button>
                   </div>
                 </div>
+                {/* Conversation tabs */}
+                <div className="mt-2 flex gap-1 text-xs font-bold">
+                  <ChatTab active={chatTab === "nearby"} onClick={() => setChatTab("nearby")}>
+                    NEARBY
+                  </ChatTab>
+                  <ChatTab active={chatTab === "direct"} unread={totalDmUnread} onClick={() => setChatTab("direct")}>
+                    DIRECT
+                  </ChatTab>
+                  <ChatTab
+                    active={chatTab === "announcements"}
+                    unread={announcementsUnread}
+                    onClick={() => setChatTab("announcements")}
+                  >
+                    ANNOUNCEMENTS
+                  </ChatTab>
+                </div>
+                {/* Direct conversations */}
+                {chatTab === "direct" && dmPeers.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-1 text-xs">
+                    {dmPeers.map((peerId) => (
+                      <button
+                        key={peerId}
+                        onClick={() => openDirectChat(peerId)}
+                        className={`px-2 py-0.5 rounded ${
+                          peerId === dmPeer ? "bg-cyan-600/40 text-cyan-100" : "bg-slate-700/50 text-slate-300 hover:bg-slate-600/50"
+                        }`}
+                      >
+                        {dmPeerName(peerId)}
+                        {dmUnread.get(peerId) > 0 && <span className="ml-1 text-amber-300">({dmUnread.get(peerId)})</span>}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {/* Everyone in the private zone is in this conversation */}
+                {chatTab === "nearby" && zone && (
+                  <div className="mt-2 flex flex-wrap gap-1 text-xs">
+                    <span className="px-2 py-0.5 rounded bg-purple-600/30 text-purple-200">{callsign || "You"}</span>
+                    {nearby.map((id) => (
+                      <span key={id} className="px-2 py-0.5 rounded bg-purple-600/20 text-purple-300">
+                        {participantsMap.get(id)?.name || id.slice(0, 5)}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Chat Messages */}
-              <div className="h-64 overflow-y-auto p-3 space-y-2 scrollbar-thin scrollbar-thumb-cyan-500/30 bg-slate-900/30">
-                {chatMessages.slice(-20).map((msg) => (
-                  <div
-                    key={msg.id}
-                    className={`text-xs ${
-                      msg.isOwn
-                        ? 'text-right'
-                        : 'text-left'
-                    }`}
-                  >
-                    <div className={`inline-block max-w-[90%] p-2 rounded-lg border ${
-                      msg.isOwn
-                        ? 'bg-gradient-to-r from-cyan-600/20 to-cyan-500/10 text-cyan-100 border-cyan-500/20'
-                        : 'bg-gradient-to-r from-slate-700/40 to-slate-600/20 text-slate-200 border-slate-500/20'
-                    }`}>
-                      {!msg.isOwn && (
-                        <div className="text-cyan-300 font-bold mb-1 text-xs">
-                          {msg.senderName}
-                        </div>
-                      )}
-                      <div>{msg.message}</div>
-                      <div className="text-xs opacity-50 mt-1">
-                        {new Date(msg.timestamp).toLocaleTimeString([], {
-                          hour: '2-digit',
-                          minute: '2-digit'
-                        })}
-                      </div>
-                    </div>
+              <div
+                ref={chatScrollRef}
+                onScroll={onChatScroll}
+                className="h-64 overflow-y-auto p-3 space-y-2 scrollbar-thin scrollbar-thumb-cyan-500/30 bg-slate-900/30"
+              >
+                {visibleMessages.length > 0 && (
+                  <div className="text-center text-slate-500 text-xs">
+                    {chatHistory.loading
+                      ? "Loading older messages…"
+                      : chatHistory.hasMore
+                        ? "Scroll up for older messages"
+                        : "Beginning of conversation"}
                   </div>
+                )}
+                {visibleMessages.map((msg) => (
+                  <ChatMessageItem
+                    key={msg.id}
+                    msg={msg}
+                    selfId={selfId}
+                    editing={editingMessage?.id === msg.id}
+                    seenByNames={msg.isOwn ? (msg.seenBy || []).map((id) => participantsMap.get(id)?.name).filter(Boolean) : []}
+                    onReact={(emoji) => sendChatAction("react", { id: msg.id, emoji })}
+                    onEdit={() => startEditingMessage(msg)}
+                    onDelete={() => sendChatAction("chat_delete", { id: msg.id })}
+                  />
                 ))}
-                {chatMessages.length === 0 && (
+                {visibleMessages.length === 0 && (
                   <div className="text-center text-slate-400 text-xs py-8 flex flex-col items-center space-y-2">
                     <div className="w-8 h-8 border-2 border-cyan-500/30 rounded-full flex items-center justify-center">
-                      💬
+                      {chatTab === "direct" ? "✉" : chatTab === "announcements" ? "📣" : "💬"}
+                    </div>
+                    <div>
+                      {chatTab === "direct"
+                        ? dmPeer
+                          ? `No messages with ${dmPeerName(dmPeer)} yet`
+                          : "Start a conversation with ✉ in the participant list"
+                        : chatTab === "announcements"
+                          ? "No announcements yet"
+                          : "Move closer to other participants to start chatting"}
                     </div>
-                    <div>Move closer to other participants to start chatting</div>
                   </div>
                 )}
               </div>
 
               {/* Chat Input */}
-              <div className="p-3 border-t border-cyan-500/20 bg-slate-800/60">
+              <div className="relative p-3 border-t border-cyan-500/20 bg-slate-800/60">
+                {mentionSuggestions.length > 0 && (
+                  <div className="absolute bottom-full left-3 mb-1 w-48 bg-slate-900 border border-cyan-500/40 rounded shadow-xl text-xs overflow-hidden">
+                    {mentionSuggestions.map((q, i) => (
+                      <button
+                        key={q.id}
+                        onMouseDown={(e) => {
+                          e.preventDefault(); // keep focus in the input
+                          pickMention(q);
+                        }}
+                        className={`block w-full text-left px-2 py-1 truncate ${
+                          i === mentionMenu.index ? "bg-cyan-600/40 text-white" : "text-slate-300 hover:bg-slate-700"
+                        }`}
+                      >
+                        @{q.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {typingNames.length > 0 && (
+                  <div className="text-xs text-slate-400 italic mb-1 truncate">
+                    {typingNames.length === 1
+                      ? `${typingNames[0]} is typing…`
+                      : typingNames.length === 2
+                        ? `${typingNames[0]} and ${typingNames[1]} are typing…`
+                        : `${typingNames.length} people are typing…`}
+                  </div>
+                )}
+                {(attachment || uploading) && canAttach && (
+                  <div className="text-xs text-cyan-200 mb-1 flex items-center gap-2">
+                    {uploading ? (
+                      <span className="italic text-slate-400">Uploading…</span>
+                    ) : (
+                      <>
+                        {attachment.previewUrl
+                          ? <img src={attachment.previewUrl} alt="" className="h-8 w-8 object-cover rounded" />
+                          : <span>📎</span>}
+                        <span className="flex-1 truncate">{attachment.name} · {formatFileSize(attachment.size)}</span>
+                        <button onClick={clearAttachment} className="hover:text-white" title="Remove attachment">✕</button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {editingMessage && (
+                  <div className="text-xs text-amber-300 mb-1 flex justify-between">
+                    <span>Editing message</span>
+                    <button onClick={cancelEditingMessage} className="hover:text-white">cancel (Esc)</button>
+                  </div>
+                )}
                 <div className="flex space-x-2">
                   <input
                     ref={chatInputRef}
                     type="text"
                     value={chatInput}
-                    onChange={(e) => setChatInput(e.target.value)}
+                    onChange={handleChatInputChange}
+                    onKeyDown={handleChatKeyDown}
                     onKeyPress={handleChatKeyPress}
-                    placeholder="Type your message..."
+                    onBlur={() => stopTyping()}
+                    onPaste={handleChatPaste}
+                    placeholder={
+                      chatTab === "announcements"
+                        ? "Announce to the room..."
+                        : dragActive ? "Drop to attach..." : "Type a message or paste an image..."
+                    }
                     className="flex-1 bg-slate-700/50 border border-cyan-500/30 rounded px-3 py-2 text-sm text-white placeholder-slate-400 focus:outline-none focus:border-cyan-400 focus:ring-1 focus:ring-cyan-400/20"
                     maxLength={200}
-                    disabled={nearby.length === 0}
+                    disabled={chatInputDisabled}
                   />
                   <button
                     onClick={sendChatMessage}
-                    disabled={!chatInput.trim() || nearby.length === 0}
+                    disabled={(!chatInput.trim() && !(attachment && canAttach)) || chatInputDisabled || uploading}
                     className="bg-gradient-to-r from-cyan-600 to-cyan-500 hover:from-cyan-500 hover:to-cyan-400 disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed text-white px-3 py-2 rounded text-sm transition-all duration-200 font-bold shadow-lg hover:shadow-cyan-500/25"
                   >
-                    SEND
+                    {editingMessage ? "SAVE" : "SEND"}
                   </button>
                 </div>
                 <div className="text-xs text-slate-500 mt-1 flex items-center space-x-1">
                   <div className="w-1 h-1 bg-cyan-500 rounded-full"></div>
-                  <span>Messages visible within {PROXIMITY_RADIUS}px radius</span>
+                  <span>
+                    {chatTab === "direct"
+                      ? dmPeer && !participantsMap.has(dmPeer)
+                        ? `${dmPeerName(dmPeer)} has left the room`
+                        : "Only the two of you can see these messages"
+                      : chatTab === "announcements"
+                        ? isModerator ? "Announcements reach everyone in the room" : "Only moderators can post announcements"
+                        : zone
+                          ? `Messages visible only inside ${zone.name}`
+                          : `Messages visible within ${PROXIMITY_RADIUS}px radius`}
+                  </span>
                 </div>
+                {chatError && <div className="text-xs text-red-400 mt-1">{chatError}</div>}
               </div>
             </div>
           )}
 
           {/* Chat Toggle Button when chat is hidden */}
-          {(!showChat || nearby.length === 0) && (
+          {!chatOpen && (
             <div className="bg-slate-800/90 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-4 text-center">
-              <div className="text-cyan-300 font-bold text-sm mb-2">PROXIMITY CHAT</div>
+              <div className="text-cyan-300 font-bold text-sm mb-2">
+                {zone ? `🔒 ${zone.name.toUpperCase()}` : "PROXIMITY CHAT"}
+              </div>
               {nearby.length === 0 ? (
                 <div className="text-slate-400 text-xs">
-                  No participants nearby
+                  {zone ? `No one else in ${zone.name}` : "No participants nearby"}
                 </div>
               ) : (
                 <button
-                  onClick={() => setShowChat(true)}
+                  onClick={() => {
+                    setChatTab("nearby");
+                    setShowChat(true);
+                  }}
                   className="bg-cyan-600 hover:bg-cyan-500 text-white px-4 py-2 rounded text-sm transition-colors"
                 >
                   Open Chat ({nearby.length} nearby)
                 </button>
               )}
+              <div className="mt-3 flex justify-center gap-2 text-xs font-bold">
+                <button
+                  onClick={() => {
+                    setChatTab("direct");
+                    setShowChat(true);
+                  }}
+                  className="px-2 py-1 rounded bg-slate-700/60 text-slate-300 hover:bg-slate-600/60"
+                >
+                  ✉ DIRECT{totalDmUnread > 0 && <span className="ml-1 text-amber-300">({totalDmUnread})</span>}
+                </button>
+                <button
+                  onClick={() => {
+                    setChatTab("announcements");
+                    setShowChat(true);
+                  }}
+                  className="px-2 py-1 rounded bg-slate-700/60 text-slate-300 hover:bg-slate-600/60"
+                >
+                  📣 ANNOUNCEMENTS{announcementsUnread > 0 && <span className="ml-1 text-amber-300">({announcementsUnread})</span>}
+                </button>
+              </div>
             </div>
           )}
         </div>
@@ -1067,7 +3343,8 @@ export default function App() {
             {/* Overlay Info */}
             <div className="absolute top-4 left-4 bg-slate-800/80 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-3 text-xs">
               <div className="text-cyan-300 font-bold mb-1">NEURAL MAP</div>
-              <div className="text-slate-300">1600 × 900</div>
+              <div className="text-slate-300">{roomInfo.name}</div>
+              <div className="text-slate-300">{roomInfo.width} × {roomInfo.height}</div>
               {selfId && (
                 <div className="text-slate-400 mt-1">
                   ID: {selfId.slice(0, 8)}...
@@ -1079,6 +3356,90 @@ export default function App() {
                 </div>
               )}
             </div>
+
+            {/* Camera Controls */}
+            <div className="absolute top-4 right-4 flex items-center space-x-1 bg-slate-800/80 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-1 text-xs">
+              <button
+                onClick={() => zoomCamera(1 / ZOOM_STEP)}
+                className="w-6 h-6 rounded text-cyan-200 hover:bg-cyan-600/30"
+                title="Zoom out (mouse wheel)"
+              >
+                −
+              </button>
+              <span className="w-10 text-center text-slate-300">{Math.round(zoom * 100)}%</span>
+              <button
+                onClick={() => zoomCamera(ZOOM_STEP)}
+                className="w-6 h-6 rounded text-cyan-200 hover:bg-cyan-600/30"
+                title="Zoom in (mouse wheel)"
+              >
+                +
+              </button>
+              <button
+                onClick={() => setFollowSelf(true)}
+                className={`px-2 h-6 rounded font-bold ${
+                  followSelf ? "bg-cyan-600/40 text-cyan-100" : "text-slate-400 hover:bg-cyan-600/30"
+                }`}
+                title="Keep the camera on your avatar (drag the map to look around)"
+              >
+                ⌖ FOLLOW
+              </button>
+            </div>
+
+            {/* Emotes and Status */}
+            <div className="absolute bottom-4 left-4 flex items-center space-x-1 bg-slate-800/80 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-1 text-xs">
+              {EMOTES.map((emote) => (
+                <button
+                  key={emote.id}
+                  onClick={(e) => sendEmote(emote.id, e.shiftKey)}
+                  className="w-7 h-7 rounded text-base hover:bg-cyan-600/30"
+                  title={`${emote.label} (shift-click: whole room)`}
+                >
+                  {emote.icon}
+                </button>
+              ))}
+              <select
+                value={participantsMap.get(selfId)?.status ?? "available"}
+                onChange={(e) => sendStatus(e.target.value)}
+                className="h-7 ml-1 px-1 rounded bg-slate-900 border border-cyan-500/30 text-cyan-200 focus:outline-none"
+                title="Your status"
+              >
+                {Object.entries(STATUSES).map(([id, info]) => (
+                  <option key={id} value={id}>{info.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Place Objects */}
+            <div className="absolute bottom-4 right-4 flex items-center space-x-1 bg-slate-800/80 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-1 text-xs">
+              <span className="px-1 text-slate-400 font-bold">PLACE</span>
+              {OBJECT_TOOLS.map((tool) => (
+                <button
+                  key={tool.type}
+                  onClick={() => placeObject(tool.type)}
+                  className="w-7 h-7 rounded text-base hover:bg-cyan-600/30"
+                  title={`Place a ${tool.label.toLowerCase()} where you stand`}
+                >
+                  {tool.icon}
+                </button>
+              ))}
+              {objectError && !activeObject && <span className="px-1 text-red-400">{objectError}</span>}
+            </div>
+
+            {/* Object Interaction */}
+            {activeObject && (
+              <div className="absolute top-16 right-4 w-64">
+                <ObjectPanel
+                  key={`${activeObject.id}:${activeObject.updatedAt}`}
+                  object={activeObject}
+                  canEdit={canEditActiveObject}
+                  error={objectError}
+                  onUpdate={(state) => sendObjectMessage("object_update", { id: activeObject.id, state })}
+                  onDelete={() => sendObjectMessage("object_delete", { id: activeObject.id })}
+                  onUse={() => sendObjectMessage("object_use", { id: activeObject.id })}
+                  onOpenBoard={() => openBoard(activeObject.id)}
+                />
+              </div>
+            )}
           </div>
         </div>
 
@@ -1090,7 +3451,7 @@ export default function App() {
               <div className="flex items-center justify-between">
                 <div className="text-cyan-300 font-bold text-sm">NEURAL MAP</div>
                 <div className="flex items-center space-x-2">
-                  <span className="text-slate-400 text-xs">1600×900</span>
+                  <span className="text-slate-400 text-xs">{roomInfo.width}×{roomInfo.height}</span>
                   <button
                     onClick={() => {/* Add minimap toggle state if needed */}
                     }
@@ -1106,22 +3467,55 @@ export default function App() {
             {/* Minimap Content */}
             <div className="p-3">
               <div className="relative w-full h-32 bg-slate-800/50 rounded border border-slate-600/30 overflow-hidden">
-                {/* Minimap Background Grid */}
-                <svg className="absolute inset-0 w-full h-full opacity-20" viewBox="0 0 160 90">
-                  <defs>
-                    <pattern id="minimapGrid" width="10" height="10" patternUnits="userSpaceOnUse">
-                      <path d="M 10 0 L 0 0 0 10" fill="none" stroke="#22c1ff" strokeWidth="0.5"/>
-                    </pattern>
-                  </defs>
-                  <rect width="160" height="90" fill="url(#minimapGrid)" />
-                </svg>
+                {/* Minimap Background: walls and zones from the room map, else a plain grid */}
+                {roomInfo.map ? (
+                  <svg
+                    className="absolute inset-0 w-full h-full"
+                    viewBox={`0 0 ${roomInfo.map.cols} ${roomInfo.map.rows}`}
+                    preserveAspectRatio="none"
+                  >
+                    {minimapWalls.map((run) => (
+                      <rect
+                        key={`${run.x},${run.y}`}
+                        x={run.x}
+                        y={run.y}
+                        width={run.width}
+                        height={1}
+                        fill="#475569"
+                      />
+                    ))}
+                    {roomInfo.map.zones.map((zone) => (
+                      <rect
+                        key={zone.id}
+                        x={zone.x / roomInfo.map.tileSize}
+                        y={zone.y / roomInfo.map.tileSize}
+                        width={zone.width / roomInfo.map.tileSize}
+                        height={zone.height / roomInfo.map.tileSize}
+                        fill="rgba(168, 85, 247, 0.15)"
+                        stroke="#a855f7"
+                        strokeWidth={0.15}
+                      >
+                        <title>{zone.name}</title>
+                      </rect>
+                    ))}
+                  </svg>
+                ) : (
+                  <svg className="absolute inset-0 w-full h-full opacity-20" viewBox="0 0 160 90">
+                    <defs>
+                      <pattern id="minimapGrid" width="10" height="10" patternUnits="userSpaceOnUse">
+                        <path d="M 10 0 L 0 0 0 10" fill="none" stroke="#22c1ff" strokeWidth="0.5"/>
+                      </pattern>
+                    </defs>
+                    <rect width="160" height="90" fill="url(#minimapGrid)" />
+                  </svg>
+                )}
                 
                 {/* Minimap Participants */}
                 {Array.from(participantsMap.entries()).map(([id, participant]) => {
                   const isSelf = id === selfId;
                   const isNearby = nearby.includes(id);
-                  const x = (participant.x / 1600) * 100; // Convert to percentage
-                  const y = (participant.y / 900) * 100;
+                  const x = (participant.x / roomInfo.width) * 100; // Convert to percentage
+                  const y = (participant.y / roomInfo.height) * 100;
                   
                   return (
                     <div
@@ -1143,15 +3537,21 @@ export default function App() {
                   );
                 })}
                 
+                {/* Camera View (positioned by the draw loop) */}
+                <div
+                  ref={minimapViewportRef}
+                  className="absolute border border-yellow-300/70 pointer-events-none"
+                />
+
                 {/* Self Proximity Radius */}
                 {selfId && participantsMap.has(selfId) && (
                   <div
                     className="absolute border border-cyan-400/30 rounded-full pointer-events-none"
                     style={{
-                      left: `${(participantsMap.get(selfId).x / 1600) * 100}%`,
-                      top: `${(participantsMap.get(selfId).y / 900) * 100}%`,
-                      width: `${(PROXIMITY_RADIUS * 2 / 1600) * 100}%`,
-                      height: `${(PROXIMITY_RADIUS * 2 / 900) * 100}%`,
+                      left: `${(participantsMap.get(selfId).x / roomInfo.width) * 100}%`,
+                      top: `${(participantsMap.get(selfId).y / roomInfo.height) * 100}%`,
+                      width: `${(PROXIMITY_RADIUS * 2 / roomInfo.width) * 100}%`,
+                      height: `${(PROXIMITY_RADIUS * 2 / roomInfo.height) * 100}%`,
                       transform: 'translate(-50%, -50%)'
                     }}
                   />
@@ -1162,8 +3562,8 @@ export default function App() {
                   <div
                     className="absolute w-1.5 h-1.5 bg-yellow-400 rounded-full animate-ping"
                     style={{
-                      left: `${(targetPosition.x / 1600) * 100}%`,
-                      top: `${(targetPosition.y / 900) * 100}%`,
+                      left: `${(targetPosition.x / roomInfo.width) * 100}%`,
+                      top: `${(targetPosition.y / roomInfo.height) * 100}%`,
                       transform: 'translate(-50%, -50%)'
                     }}
                   />
@@ -1212,10 +3612,30 @@ export default function App() {
                         <span className={`truncate ${isSelf ? 'text-white' : isNearby ? 'text-cyan-300' : 'text-slate-400'}`}>
                           {participant.name}{isSelf ? ' (You)' : ''}
                         </span>
-                        <div
-                          className="w-2 h-2 rounded-full"
-                          style={{ backgroundColor: participant.color }}
-                        />
+                        <div className="flex items-center gap-1 shrink-0">
+                          {participant.moderator && <span title="Moderator">🛡</span>}
+                          {!isSelf && (
+                            <button
+                              onClick={() => openDirectChat(id)}
+                              className="text-slate-400 hover:text-cyan-300"
+                              title={`Message ${participant.name}`}
+                            >
+                              ✉{dmUnread.get(id) > 0 && <span className="text-amber-300">{dmUnread.get(id)}</span>}
+                            </button>
+                          )}
+                          {participant.screenShare && <span title="Sharing their screen">🖥</span>}
+                          {STATUSES[participant.status] && (
+                            <span
+                              className="w-2 h-2 rounded-full"
+                              title={STATUSES[participant.status].label}
+                              style={{ backgroundColor: STATUSES[participant.status].color }}
+                            />
+                          )}
+                          <div
+                            className="w-2 h-2 rounded-full"
+                            style={{ backgroundColor: participant.color }}
+                          />
+                        </div>
                       </div>
                     );
                   })}
@@ -1223,7 +3643,39 @@ export default function App() {
               </div>
             </div>
           </div>
+
+          {/* Movement key bindings */}
+          <div className="mt-4">
+            <KeyBindingsPanel bindings={keyBindings} onChange={setKeyBindings} />
+          </div>
+        </div>
+      </div>
+
+      {/* @mention notifications, from anywhere in the room */}
+      {mentionToasts.length > 0 && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 space-y-2 w-80">
+          {mentionToasts.map((message) => (
+            <button
+              key={message.id}
+              onClick={() => openMention(message)}
+              className="block w-full text-left bg-slate-800/95 border border-amber-400/50 rounded-lg shadow-2xl p-3 text-xs text-slate-200 hover:border-amber-300"
+            >
+              <div className="text-amber-300 font-bold mb-1">
+                @ {message.senderName} mentioned you{message.channel === "announcements" ? " in an announcement" : ""}
+              </div>
+              <div className="truncate">
+                <RichText nodes={parseRichText(message.message, message.mentions)} selfId={selfId} />
+              </div>
+            </button>
+          ))}
         </div>
+      )}
+
+      {/* Remote streams stay attached to (muted) media elements, see PeerAudio */}
+      <div className="hidden">
+        {Array.from(remoteStreams.entries()).map(([peerId, stream]) => (
+          <PeerAudio key={peerId} stream={stream} />
+        ))}
       </div>
 
       {/* Instructions */}
@@ -1235,13 +3687,691 @@ export default function App() {
           <div className="text-slate-400 space-y-1">
             <div>• <span className="text-cyan-300">Click anywhere</span> on the neural map to move your avatar</div>
             <div>• Your avatar will <span className="text-cyan-300">smoothly animate</span> to the target location</div>
+            <div>• Or walk with <span className="text-cyan-300">WASD / arrow keys</span> or a gamepad stick — rebind keys under CONTROLS</div>
             <div>• <span className="text-cyan-300">Chat panel appears</span> when other participants are within {PROXIMITY_RADIUS}px</div>
             <div>• Messages are <span className="text-cyan-300">only visible</span> to participants in proximity range</div>
             <div>• Use <span className="text-cyan-300">Enter</span> to send messages quickly</div>
             <div>• Blue lines connect you to nearby participants within proximity</div>
+            <div>• <span className="text-cyan-300">Voice and video</span> start automatically with nearby participants — use the MIC/CAM toggles above the chat</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Walking-towards-you loop of an avatar's sprite sheet
+function AvatarPreview({ avatar }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    let frame;
+    const tick = (time) => {
+      ctx.clearRect(0, 0, FRAME_WIDTH * 2, FRAME_HEIGHT * 2);
+      drawAvatar(ctx, avatar, FRAME_WIDTH, FRAME_HEIGHT * 2 - 4, "down", walkFrame(time), 2);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [avatar]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={FRAME_WIDTH * 2}
+      height={FRAME_HEIGHT * 2}
+      className="flex-shrink-0 w-16 h-24 bg-slate-900/60 border border-cyan-500/30 rounded-lg"
+      style={{ imageRendering: "pixelated" }}
+    />
+  );
+}
+
+// Pick a ready-made avatar or compose one from parts
+function AvatarPicker({ avatar, onChange }) {
+  const selectClass =
+    "w-full bg-slate-700/50 border border-cyan-500/30 rounded px-2 py-1 text-white text-xs font-mono focus:outline-none focus:border-cyan-400";
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap gap-1">
+        {AVATAR_PRESETS.map((preset) => (
+          <button
+            key={preset.name}
+            type="button"
+            onClick={() => onChange(preset.avatar)}
+            className="px-2 py-1 rounded border border-cyan-500/30 text-cyan-200 text-xs font-mono hover:bg-cyan-600/30"
+          >
+            {preset.name}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        {Object.entries(AVATAR_PARTS).map(([part, options]) => (
+          <label key={part} className="text-slate-400 text-[10px] font-mono uppercase">
+            {part}
+            <select
+              value={avatar[part]}
+              onChange={(e) => onChange({ ...avatar, [part]: e.target.value })}
+              className={selectClass}
+            >
+              {options.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="text-slate-400 text-[10px] font-mono uppercase">
+          colour
+          <input
+            type="color"
+            value={avatar.color}
+            onChange={(e) => onChange({ ...avatar, color: e.target.value })}
+            className="w-full h-[26px] bg-slate-700/50 border border-cyan-500/30 rounded cursor-pointer"
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Rebind the movement keys: click a slot, then press a key (Esc cancels, Backspace clears)
+// Shown while standing next to an object; edits are drafts until SAVE
+function ObjectPanel({ object, canEdit, error, onUpdate, onDelete, onUse, onOpenBoard }) {
+  const [draft, setDraft] = useState(object.state);
+  const tool = OBJECT_TOOLS.find((t) => t.type === object.type);
+  const field = (key) => ({
+    value: draft[key] ?? "",
+    onChange: (e) => setDraft((prev) => ({ ...prev, [key]: e.target.value })),
+    disabled: !canEdit,
+    className:
+      "w-full px-2 py-1 bg-slate-800 border border-cyan-500/30 rounded text-white placeholder-slate-500 focus:outline-none focus:border-cyan-400 disabled:opacity-60",
+  });
+  const save = () => {
+    if (object.type === "portal") {
+      onUpdate({ ...draft, room: draft.room || null, x: Number(draft.x), y: Number(draft.y) });
+    } else {
+      onUpdate(draft);
+    }
+  };
+
+  return (
+    <div className="bg-slate-900/90 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-3 text-xs space-y-2 shadow-2xl">
+      <div className="flex items-center justify-between">
+        <div className="text-cyan-300 font-bold">
+          {tool?.icon} {tool?.label.toUpperCase()}
+        </div>
+        {canEdit && (
+          <button onClick={onDelete} className="text-slate-400 hover:text-red-400 transition-colors" title="Remove">
+            REMOVE
+          </button>
+        )}
+      </div>
+
+      {object.type === "note" && (
+        <>
+          <textarea {...field("text")} rows={4} maxLength={500} placeholder="Write something…" />
+          <div className="flex items-center space-x-1">
+            {NOTE_COLORS.map((color) => (
+              <button
+                key={color}
+                onClick={() => setDraft((prev) => ({ ...prev, color }))}
+                className={`w-5 h-5 rounded border-2 ${draft.color === color ? "border-white" : "border-transparent"}`}
+                style={{ backgroundColor: color }}
+                title="Note colour"
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      {object.type === "portal" && (
+        <>
+          <div className="text-slate-300">
+            → {object.state.room || "this room"} ({object.state.x}, {object.state.y})
+          </div>
+          <button
+            onClick={onUse}
+            className="w-full py-1 rounded bg-purple-600/40 text-purple-100 font-bold hover:bg-purple-600/60 transition-colors"
+          >
+            ENTER PORTAL
+          </button>
+          {canEdit && (
+            <>
+              <input {...field("label")} maxLength={60} placeholder="Label" />
+              <input {...field("room")} maxLength={32} placeholder="Room id (empty: this room)" />
+              <div className="flex space-x-1">
+                <input {...field("x")} type="number" placeholder="x" />
+                <input {...field("y")} type="number" placeholder="y" />
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {object.type === "link" && (
+        <>
+          <a
+            href={object.state.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block p-2 rounded border border-cyan-500/30 hover:border-cyan-400 transition-colors"
+          >
+            <div className="text-cyan-200 font-bold truncate">{object.state.title}</div>
+            <div className="text-slate-400 truncate">{object.state.url} ↗</div>
+          </a>
+          {canEdit && (
+            <>
+              <input {...field("title")} maxLength={60} placeholder="Title" />
+              <input {...field("url")} maxLength={2048} placeholder="https://…" />
+            </>
+          )}
+        </>
+      )}
+
+      {object.type === "whiteboard" && (
+        <>
+          <button
+            onClick={onOpenBoard}
+            className="w-full py-1 rounded bg-cyan-600/40 text-cyan-100 font-bold hover:bg-cyan-600/60 transition-colors"
+          >
+            OPEN BOARD
+          </button>
+          {canEdit && <input {...field("title")} maxLength={60} placeholder="Title" />}
+        </>
+      )}
+
+      {canEdit && (
+        <button
+          onClick={save}
+          className="w-full py-1 rounded bg-cyan-600/40 text-cyan-100 font-bold hover:bg-cyan-600/60 transition-colors"
+        >
+          SAVE
+        </button>
+      )}
+      {!canEdit && object.type !== "note" && object.type !== "whiteboard" && (
+        <div className="text-slate-500">Only whoever placed this can change it</div>
+      )}
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+// Full-screen drawing overlay for an open whiteboard. Our own points show at once
+// (onDraw) and go out in chunks every BOARD_SEND_INTERVAL_MS (onSend).
+function WhiteboardOverlay({ board, title, onDraw, onSend, onUndo, onClear, onClose }) {
+  const canvasRef = useRef(null);
+  const strokeRef = useRef(null); // { stroke, pending } while the pointer is down
+  const onSendRef = useRef(onSend); // the interval below must outlive re-renders
+  const [color, setColor] = useState(PEN_COLORS[0]);
+  const [width, setWidth] = useState(PEN_WIDTHS[1]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (ctx) drawBoard(ctx, board.strokes);
+  }, [board.strokes]);
+
+  useEffect(() => {
+    onSendRef.current = onSend;
+  }, [onSend]);
+
+  // Flush pending points while a stroke is in progress
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const current = strokeRef.current;
+      if (current?.pending.length) {
+        onSendRef.current(current.stroke, current.pending);
+        current.pending = [];
+      }
+    }, BOARD_SEND_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Ctrl/Cmd+Z undoes our last stroke, Escape closes
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      else if ((e.ctrlKey || e.metaKey) && e.key === "z") {
+        e.preventDefault();
+        onUndo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose, onUndo]);
+
+  const boardPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [
+      Math.round(((e.clientX - rect.left) / rect.width) * BOARD_WIDTH),
+      Math.round(((e.clientY - rect.top) / rect.height) * BOARD_HEIGHT),
+    ];
+  };
+
+  const onPointerDown = (e) => {
+    if (board.loading || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = boardPoint(e);
+    const stroke = { id: crypto.randomUUID(), color, width };
+    strokeRef.current = { stroke, pending: [point] };
+    onDraw(stroke, [point]);
+  };
+
+  const onPointerMove = (e) => {
+    const current = strokeRef.current;
+    if (!current) return;
+    const point = boardPoint(e);
+    current.pending.push(point);
+    onDraw(current.stroke, [point]);
+  };
+
+  const onPointerUp = () => {
+    const current = strokeRef.current;
+    if (!current) return;
+    if (current.pending.length) onSend(current.stroke, current.pending);
+    strokeRef.current = null;
+  };
+
+  const download = (blob, extension) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${title.replace(/[^\w-]+/g, "_") || "whiteboard"}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const toolButton = "px-2 py-1 rounded border border-slate-600 text-cyan-200 hover:border-cyan-400 transition-colors";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="w-full max-w-5xl bg-slate-900 border border-cyan-500/30 rounded-lg shadow-2xl p-3 space-y-2 text-xs">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-cyan-300 font-bold text-sm mr-2">🖍️ {title.toUpperCase()}</div>
+          {PEN_COLORS.map((c) => (
+            <button
+              key={c}
+              onClick={() => setColor(c)}
+              className={`w-6 h-6 rounded-full border-2 ${color === c ? "border-white" : "border-slate-600"}`}
+              style={{ backgroundColor: c }}
+              title="Pen colour"
+            />
+          ))}
+          <div className="flex items-center space-x-1 ml-2">
+            {PEN_WIDTHS.map((w) => (
+              <button
+                key={w}
+                onClick={() => setWidth(w)}
+                className={`w-7 h-7 rounded flex items-center justify-center border ${
+                  width === w ? "border-cyan-400 bg-cyan-600/30" : "border-slate-600"
+                }`}
+                title={`Pen width ${w}`}
+              >
+                <span className="rounded-full bg-slate-200" style={{ width: w, height: w, maxWidth: 16, maxHeight: 16 }} />
+              </button>
+            ))}
+          </div>
+          <div className="flex-1" />
+          <button onClick={onUndo} className={toolButton} title="Undo your last stroke (Ctrl+Z)">
+            UNDO
+          </button>
+          <button onClick={onClear} className={toolButton} title="Clear the board for everyone">
+            CLEAR
+          </button>
+          <button onClick={() => boardToPNG(board.strokes).then((blob) => download(blob, "png"))} className={toolButton}>
+            PNG
+          </button>
+          <button
+            onClick={() => download(new Blob([boardToSVG(board.strokes)], { type: "image/svg+xml" }), "svg")}
+            className={toolButton}
+          >
+            SVG
+          </button>
+          <button onClick={onClose} className={toolButton} title="Close (Esc)">
+            ✕
+          </button>
+        </div>
+        <div className="relative">
+          <canvas
+            ref={canvasRef}
+            width={BOARD_WIDTH}
+            height={BOARD_HEIGHT}
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            onPointerCancel={onPointerUp}
+            className="w-full h-auto rounded cursor-crosshair touch-none block"
+          />
+          {board.loading && (
+            <div className="absolute inset-0 flex items-center justify-center text-slate-500">Loading board…</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function KeyBindingsPanel({ bindings, onChange }) {
+  const [listening, setListening] = useState(null); // { action, slot }
+
+  useEffect(() => {
+    if (!listening) return;
+    const onKeyDown = (e) => {
+      // Capture phase, so the key doesn't also walk the avatar
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code !== "Escape") {
+        const code = e.code === "Backspace" ? null : e.code;
+        const next = {};
+        for (const action of MOVE_ACTIONS) {
+          // A key drives one action only
+          next[action] = bindings[action].map((k) => (k === code ? null : k));
+        }
+        next[listening.action][listening.slot] = code;
+        onChange(next);
+      }
+      setListening(null);
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [listening, bindings, onChange]);
+
+  return (
+    <div className="bg-slate-900/90 border border-cyan-500/30 rounded-lg p-3 text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-cyan-300 font-bold text-sm">CONTROLS</div>
+        <button
+          onClick={() => onChange(DEFAULT_KEY_BINDINGS)}
+          className="text-slate-400 hover:text-cyan-300 transition-colors"
+          title="Restore default key bindings"
+        >
+          RESET
+        </button>
+      </div>
+      <div className="space-y-1">
+        {MOVE_ACTIONS.map((action) => (
+          <div key={action} className="flex items-center justify-between">
+            <span className="text-slate-400 uppercase">{action}</span>
+            <div className="flex space-x-1">
+              {bindings[action].map((code, slot) => {
+                const active = listening?.action === action && listening?.slot === slot;
+                return (
+                  <button
+                    key={slot}
+                    onClick={() => setListening({ action, slot })}
+                    className={`w-12 px-1 py-0.5 rounded border transition-colors ${
+                      active
+                        ? "border-yellow-400 text-yellow-300 animate-pulse"
+                        : "border-slate-600 text-cyan-200 hover:border-cyan-400"
+                    }`}
+                  >
+                    {active ? "…" : keyLabel(code)}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Rendered markdown subset (see chatFormat.js); text only ever goes in as React children
+function RichText({ nodes, selfId }) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case "bold":
+        return <strong key={i}><RichText nodes={node.children} selfId={selfId} /></strong>;
+      case "italic":
+        return <em key={i}><RichText nodes={node.children} selfId={selfId} /></em>;
+      case "code":
+        return <code key={i} className="px-1 rounded bg-slate-900/80 text-amber-200 font-mono">{node.text}</code>;
+      case "link":
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="underline text-cyan-300 hover:text-cyan-200 break-all">
+            <RichText nodes={node.children} selfId={selfId} />
+          </a>
+        );
+      case "mention":
+        return (
+          <span key={i} className={`font-bold ${node.id === selfId ? "bg-amber-400/30 text-amber-200 rounded px-0.5" : "text-cyan-300"}`}>
+            @{node.name}
+          </span>
+        );
+      default:
+        return <React.Fragment key={i}>{node.text}</React.Fragment>;
+    }
+  });
+}
+
+// One chat bubble with its reactions; hovering shows the reaction picker and, for your
+// own recent messages, edit and delete
+function ChatMessageItem({ msg, selfId, editing, seenByNames, onReact, onEdit, onDelete }) {
+  const [picking, setPicking] = useState(false);
+  const nodes = useMemo(() => parseRichText(msg.message, msg.mentions), [msg.message, msg.mentions]);
+  const canChange = msg.isOwn && !msg.deleted && Date.now() - msg.timestamp < CHAT_EDIT_WINDOW_MS;
+  const mentionsSelf = msg.mentions?.some((m) => m.id === selfId);
+  const reactions = Object.entries(msg.reactions || {});
+
+  return (
+    <div className={`group text-xs ${msg.isOwn ? 'text-right' : 'text-left'}`}>
+      <div className={`relative inline-block max-w-[90%] p-2 rounded-lg border text-left ${
+        msg.isOwn
+          ? 'bg-gradient-to-r from-cyan-600/20 to-cyan-500/10 text-cyan-100 border-cyan-500/20'
+          : mentionsSelf
+            ? 'bg-gradient-to-r from-amber-600/20 to-amber-500/10 text-slate-100 border-amber-400/40'
+            : 'bg-gradient-to-r from-slate-700/40 to-slate-600/20 text-slate-200 border-slate-500/20'
+      } ${editing ? 'ring-1 ring-amber-300' : ''}`}>
+        {!msg.isOwn && (
+          <div className="text-cyan-300 font-bold mb-1 text-xs">
+            {msg.senderName}
+          </div>
+        )}
+        {msg.deleted ? (
+          <div className="italic opacity-60">Message deleted</div>
+        ) : (
+          <>
+            {msg.message && <div className="break-words"><RichText nodes={nodes} selfId={selfId} /></div>}
+            {msg.attachment && <ChatAttachment attachment={msg.attachment} />}
+          </>
+        )}
+        <div className="text-xs opacity-50 mt-1">
+          {new Date(msg.timestamp).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+          })}
+          {msg.editedAt && !msg.deleted && " · edited"}
+        </div>
+        {seenByNames.length > 0 && !msg.deleted && (
+          <div className="text-[10px] opacity-60 mt-0.5" title={seenByNames.join(", ")}>
+            ✓ Seen by {seenByNames.length <= 3 ? seenByNames.join(", ") : `${seenByNames.length} people`}
+          </div>
+        )}
+        {!msg.deleted && (
+          <div className="absolute -top-3 right-1 hidden group-hover:flex gap-1 bg-slate-900 border border-slate-600 rounded px-1">
+            <button onClick={() => setPicking((open) => !open)} title="React">☺</button>
+            {canChange && <button onClick={onEdit} title="Edit">✎</button>}
+            {canChange && <button onClick={onDelete} title="Delete" className="hover:text-red-400">🗑</button>}
+          </div>
+        )}
+        {picking && !msg.deleted && (
+          <div className="flex gap-1 mt-1">
+            {REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                onClick={() => {
+                  onReact(emoji);
+                  setPicking(false);
+                }}
+                className="hover:scale-125 transition-transform"
+              >
+                {emoji}
+              </button>
+            ))}
           </div>
+        )}
+      </div>
+      {reactions.length > 0 && (
+        <div className={`flex flex-wrap gap-1 mt-1 ${msg.isOwn ? 'justify-end' : ''}`}>
+          {reactions.map(([emoji, ids]) => (
+            <button
+              key={emoji}
+              onClick={() => onReact(emoji)}
+              className={`px-1.5 rounded-full border ${
+                ids.includes(selfId) ? 'border-cyan-400 bg-cyan-600/30' : 'border-slate-600 bg-slate-700/50'
+              }`}
+            >
+              {emoji} {ids.length}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A file sent with a chat message: images inline (click for full size), anything else as a download.
+// Only the people it was sent to get it; later readers see a `restricted` one without an id.
+function ChatAttachment({ attachment }) {
+  const isImage = attachment.type.startsWith("image/") && !attachment.restricted;
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!isImage) return;
+    let url = null;
+    let cancelled = false;
+    fetchAttachment(attachment.id)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id, isImage]);
+
+  const download = async () => {
+    try {
+      const url = URL.createObjectURL(await fetchAttachment(attachment.id));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000); // once the download has started
+    } catch {
+      setFailed(true);
+    }
+  };
+
+  if (attachment.restricted) {
+    return <div className="mt-1 italic opacity-60">📎 {attachment.name} was only shared with the people there at the time</div>;
+  }
+  if (failed) return <div className="mt-1 italic opacity-60">📎 {attachment.name} is no longer available</div>;
+  if (isImage) {
+    return src ? (
+      <a href={src} target="_blank" rel="noreferrer" className="block mt-1">
+        <img src={src} alt={attachment.name} className="max-h-40 max-w-full rounded border border-slate-600" />
+      </a>
+    ) : (
+      <div className="mt-1 h-16 w-24 rounded border border-slate-600 bg-slate-900/50 animate-pulse" />
+    );
+  }
+  return (
+    <button
+      onClick={download}
+      className="mt-1 flex items-center gap-1 px-2 py-1 rounded bg-slate-900/50 border border-slate-600 text-cyan-300 hover:text-cyan-100 max-w-full"
+    >
+      <span>📎</span>
+      <span className="truncate">{attachment.name}</span>
+      <span className="opacity-60 whitespace-nowrap">{formatFileSize(attachment.size)}</span>
+    </button>
+  );
+}
+
+// A chat panel tab with an optional unread count
+function ChatTab({ active, unread = 0, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`flex-1 px-2 py-1 rounded transition-colors ${
+        active ? "bg-cyan-600/40 text-cyan-100" : "bg-slate-700/40 text-slate-400 hover:bg-slate-600/50"
+      }`}
+    >
+      {children}
+      {unread > 0 && <span className="ml-1 text-amber-300">({unread})</span>}
+    </button>
+  );
+}
+
+// Video tile for a local or remote stream; audio goes through the spatial mixer
+function PeerVideo({ stream, label }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  return (
+    <div className="relative bg-slate-900 rounded border border-cyan-500/20 overflow-hidden aspect-video">
+      <video ref={videoRef} autoPlay playsInline muted className="w-full h-full object-cover" />
+      <div className="absolute bottom-0 left-0 right-0 bg-black/60 text-[10px] text-cyan-200 px-1 truncate">
+        {label}
+      </div>
+    </div>
+  );
+}
+
+// A shared screen at full size; Escape or ✕ closes it
+function ScreenSharePanel({ stream, label, onClose }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream ?? null;
+  }, [stream]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-6xl bg-slate-900 border border-cyan-500/30 rounded-lg shadow-2xl p-3 space-y-2">
+        <div className="flex items-center justify-between text-xs">
+          <div className="text-cyan-300 font-bold text-sm">🖥 {label.toUpperCase()}</div>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 rounded border border-slate-600 text-cyan-200 hover:border-cyan-400 transition-colors"
+            title="Close (Esc)"
+          >
+            ✕
+          </button>
         </div>
+        <video ref={videoRef} autoPlay playsInline muted className="w-full max-h-[80vh] bg-black rounded object-contain" />
       </div>
     </div>
   );
 }
+
+// Chrome only feeds remote WebRTC audio into Web Audio while the stream is also
+// attached to a media element, so keep one muted; the spatial graph is what's heard
+function PeerAudio({ stream }) {
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.srcObject = stream;
+  }, [stream]);
+
+  return <audio ref={audioRef} autoPlay muted />;
+}
@@ -0,0 +1,222 @@
+// Avatar sprite sheets, composed from parts and drawn once per avatar into an
+// offscreen canvas: one row per facing, column 0 idle, columns 1-4 the walk cycle.
+// Part ids must match AVATAR_PARTS in backend/avatars.js.
+
+export const AVATAR_PARTS = {
+  body: ["pale", "tan", "brown", "deep"],
+  hair: ["none", "short", "long", "spiky", "bun"],
+  outfit: ["suit", "hoodie", "jumpsuit", "coat"],
+};
+
+// Ready-made sheets for the picker
+export const AVATAR_PRESETS = [
+  { name: "Pilot", avatar: { body: "tan", hair: "short", outfit: "jumpsuit", color: "#f97316" } },
+  { name: "Hacker", avatar: { body: "pale", hair: "spiky", outfit: "hoodie", color: "#22c55e" } },
+  { name: "Director", avatar: { body: "deep", hair: "bun", outfit: "suit", color: "#6366f1" } },
+  { name: "Navigator", avatar: { body: "brown", hair: "long", outfit: "coat", color: "#22c1ff" } },
+];
+
+export const FRAME_WIDTH = 32;
+export const FRAME_HEIGHT = 48;
+export const WALK_FRAME_MS = 140; // per walk-cycle frame
+const DIRECTIONS = ["down", "left", "right", "up"];
+const WALK_PHASES = [1, 0, -1, 0]; // leg/arm swing for columns 1-4
+
+const SKIN = { pale: "#f3d2b3", tan: "#d9a77a", brown: "#a86b3c", deep: "#6b4226" };
+const HAIR_COLOR = "#3b2416";
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** Same checks as the server; null if anything is off */
+export function normalizeAvatar(avatar) {
+  if (!avatar || typeof avatar !== "object") return null;
+  const { body, hair, outfit, color } = avatar;
+  if (!AVATAR_PARTS.body.includes(body)) return null;
+  if (!AVATAR_PARTS.hair.includes(hair)) return null;
+  if (!AVATAR_PARTS.outfit.includes(outfit)) return null;
+  if (typeof color !== "string" || !COLOR_PATTERN.test(color)) return null;
+  return { body, hair, outfit, color: color.toLowerCase() };
+}
+
+// Darken (amount < 0) or lighten a #rrggbb colour
+function shade(hex, amount) {
+  const n = parseInt(hex.slice(1), 16);
+  const channel = (shift) => {
+    const c = (n >> shift) & 0xff;
+    const v = amount < 0 ? c * (1 + amount) : c + (255 - c) * amount;
+    return Math.round(v).toString(16).padStart(2, "0");
+  };
+  return `#${channel(16)}${channel(8)}${channel(0)}`;
+}
+
+// One frame with its top-left at (0, 0); feet at (16, 46)
+function drawFrame(ctx, avatar, direction, phase) {
+  const skin = SKIN[avatar.body];
+  const cloth = avatar.color;
+  const clothDark = shade(cloth, -0.35);
+  const side = direction === "left" || direction === "right";
+  const flip = direction === "left" ? -1 : 1;
+
+  // Shadow
+  ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+  ctx.beginPath();
+  ctx.ellipse(16, 45, 9, 3, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Legs: lifted alternately from the front, striding from the side
+  ctx.fillStyle = avatar.outfit === "jumpsuit" ? cloth : "#1e293b";
+  if (side) {
+    ctx.fillRect(13 + phase * 3, 34, 5, 11);
+    ctx.fillRect(14 - phase * 3, 34, 5, 11);
+  } else {
+    ctx.fillRect(11, 34 - Math.max(0, phase) * 2, 5, 11);
+    ctx.fillRect(16, 34 - Math.max(0, -phase) * 2, 5, 11);
+  }
+
+  // Hood behind the head
+  if (avatar.outfit === "hoodie" && direction !== "up") {
+    ctx.fillStyle = clothDark;
+    ctx.fillRect(10, 15, 12, 7);
+  }
+
+  // Torso (coats run longer)
+  const torsoBottom = avatar.outfit === "coat" ? 40 : 35;
+  ctx.fillStyle = cloth;
+  ctx.fillRect(side ? 11 : 9, 20, side ? 10 : 14, torsoBottom - 20);
+
+  // Outfit details, from the front only
+  if (direction === "down") {
+    if (avatar.outfit === "suit") {
+      ctx.fillStyle = "#f8fafc";
+      ctx.beginPath();
+      ctx.moveTo(13, 20);
+      ctx.lineTo(19, 20);
+      ctx.lineTo(16, 26);
+      ctx.fill();
+      ctx.fillStyle = "#b91c1c";
+      ctx.fillRect(15, 22, 2, 7);
+    } else if (avatar.outfit === "hoodie") {
+      ctx.fillStyle = clothDark;
+      ctx.fillRect(12, 29, 8, 4);
+    } else if (avatar.outfit === "jumpsuit") {
+      ctx.fillStyle = "#0f172a";
+      ctx.fillRect(9, 30, 14, 2);
+    } else if (avatar.outfit === "coat") {
+      ctx.fillStyle = clothDark;
+      ctx.fillRect(15, 20, 2, 20);
+    }
+  }
+
+  // Arms swing opposite the legs
+  ctx.fillStyle = clothDark;
+  if (side) {
+    ctx.fillRect(14 - phase * 3 * flip, 21, 4, 11);
+  } else {
+    ctx.fillRect(6, 21 + phase * 2, 3, 11);
+    ctx.fillRect(23, 21 - phase * 2, 3, 11);
+    ctx.fillStyle = skin;
+    ctx.fillRect(6, 32 + phase * 2, 3, 2);
+    ctx.fillRect(23, 32 - phase * 2, 3, 2);
+  }
+
+  // Head
+  ctx.fillStyle = skin;
+  ctx.beginPath();
+  ctx.arc(16, 13, 8, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Face
+  ctx.fillStyle = "#0f172a";
+  if (direction === "down") {
+    ctx.fillRect(12, 13, 2, 2);
+    ctx.fillRect(18, 13, 2, 2);
+  } else if (side) {
+    ctx.fillRect(16 + 4 * flip - (flip < 0 ? 2 : 0), 13, 2, 2);
+  }
+
+  // Hair
+  ctx.fillStyle = HAIR_COLOR;
+  if (avatar.hair !== "none") {
+    if (direction === "up") {
+      ctx.beginPath();
+      ctx.arc(16, 13, 8, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.beginPath();
+      ctx.arc(16, 12, 8, Math.PI, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  if (avatar.hair === "long") {
+    ctx.fillRect(8, 12, 3, 12);
+    ctx.fillRect(21, 12, 3, 12);
+    if (direction === "up") ctx.fillRect(8, 13, 16, 11);
+  } else if (avatar.hair === "spiky") {
+    ctx.beginPath();
+    for (let x = 9; x <= 21; x += 4) {
+      ctx.moveTo(x, 8);
+      ctx.lineTo(x + 2, 1);
+      ctx.lineTo(x + 4, 8);
+    }
+    ctx.fill();
+  } else if (avatar.hair === "bun") {
+    ctx.beginPath();
+    ctx.arc(16, 3, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+const sheets = new Map(); // avatar key -> canvas
+
+/** The (cached) sprite sheet for an avatar */
+export function getSpriteSheet(avatar) {
+  const key = `${avatar.body}|${avatar.hair}|${avatar.outfit}|${avatar.color}`;
+  let sheet = sheets.get(key);
+  if (sheet) return sheet;
+
+  sheet = document.createElement("canvas");
+  sheet.width = FRAME_WIDTH * (WALK_PHASES.length + 1);
+  sheet.height = FRAME_HEIGHT * DIRECTIONS.length;
+  const ctx = sheet.getContext("2d");
+  DIRECTIONS.forEach((direction, row) => {
+    [0, ...WALK_PHASES].forEach((phase, col) => {
+      ctx.save();
+      ctx.translate(col * FRAME_WIDTH, row * FRAME_HEIGHT);
+      drawFrame(ctx, avatar, direction, phase);
+      ctx.restore();
+    });
+  });
+  sheets.set(key, sheet);
+  return sheet;
+}
+
+/** Facing for a movement delta; keeps `previous` when standing still */
+export function directionFromDelta(dx, dy, previous = "down") {
+  if (dx === 0 && dy === 0) return previous;
+  if (Math.abs(dx) > Math.abs(dy)) return dx < 0 ? "left" : "right";
+  return dy < 0 ? "up" : "down";
+}
+
+/**
+ * Draw an avatar with its feet at (x, y).
+ * @param {number} frame  0 for idle, 1-4 for the walk cycle
+ */
+export function drawAvatar(ctx, avatar, x, y, direction, frame, scale = 1) {
+  const row = DIRECTIONS.indexOf(direction);
+  ctx.drawImage(
+    getSpriteSheet(avatar),
+    frame * FRAME_WIDTH,
+    Math.max(0, row) * FRAME_HEIGHT,
+    FRAME_WIDTH,
+    FRAME_HEIGHT,
+    x - (FRAME_WIDTH * scale) / 2,
+    y - (FRAME_HEIGHT - 2) * scale,
+    FRAME_WIDTH * scale,
+    FRAME_HEIGHT * scale
+  );
+}
+
+/** Walk-cycle frame for the current time (1-4) */
+export function walkFrame(time) {
+  return 1 + (Math.floor(time / WALK_FRAME_MS) % WALK_PHASES.length);
+}
@@ -0,0 +1,102 @@
+// Chat messages are raw text in a small markdown subset: **bold**, *italic* or
+// _italic_, `code`, [label](https://…) and bare http(s) links, plus @mentions of
+// the people listed on the message. parseRichText() turns the text into nodes
+// that App.jsx renders as React elements, so nothing is ever inserted as HTML.
+// Files dropped or pasted into the chat are checked here before uploading.
+
+export const REACTIONS = ["👍", "❤️", "😂", "🎉", "😮", "👀"]; // Match server's REACTIONS
+export const CHAT_EDIT_WINDOW_MS = 5 * 60 * 1000; // Match server's CHAT_EDIT_WINDOW_MS
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024; // Match server's MAX_UPLOAD_BYTES
+export const UPLOAD_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp", "application/pdf", "text/plain"]; // Match server's UPLOAD_TYPES
+
+const CODE = /^`([^`]+)`/;
+const LINK = /^\[([^\]]+)\]\(([^\s)]+)\)/;
+const URL_TEXT = /^https?:\/\/[^\s]*[^\s.,;:!?)\]'"]/;
+const BOLD = /^\*\*(.+?)\*\*/;
+const ITALIC = /^(?:\*([^*\s][^*]*)\*|_([^_\s][^_]*)_)/;
+
+/** The URL if it's http(s), otherwise null (no javascript: and friends) */
+export function safeHref(text) {
+  try {
+    const url = new URL(text);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{ id: string, name: string }[]} mentions
+ * @param {boolean} [inLink]  parsing a link's label: no links inside it (an <a> can't nest)
+ * @returns {({ type: "text" | "code", text: string } | { type: "bold" | "italic", children: object[] }
+ *   | { type: "link", href: string, children: object[] } | { type: "mention", id: string, name: string })[]}
+ */
+export function parseRichText(text, mentions = [], inLink = false) {
+  // Longest names first, so "@Ann Lee" wins over "@Ann"
+  const names = [...mentions].sort((a, b) => b.name.length - a.name.length);
+  const nodes = [];
+  let plain = "";
+  const flush = () => {
+    if (plain) nodes.push({ type: "text", text: plain });
+    plain = "";
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const wordStart = i === 0 || /\s/.test(text[i - 1]);
+    let match;
+
+    if (rest[0] === "@") {
+      const mention = names.find((m) => rest.startsWith(`@${m.name}`));
+      if (mention) {
+        flush();
+        nodes.push({ type: "mention", id: mention.id, name: mention.name });
+        i += mention.name.length + 1;
+        continue;
+      }
+    }
+    if ((match = CODE.exec(rest))) {
+      flush();
+      nodes.push({ type: "code", text: match[1] });
+    } else if (!inLink && (match = LINK.exec(rest)) && safeHref(match[2])) {
+      flush();
+      nodes.push({ type: "link", href: safeHref(match[2]), children: parseRichText(match[1], mentions, true) });
+    } else if (!inLink && wordStart && (match = URL_TEXT.exec(rest)) && safeHref(match[0])) {
+      flush();
+      nodes.push({ type: "link", href: safeHref(match[0]), children: [{ type: "text", text: match[0] }] });
+    } else if ((match = BOLD.exec(rest))) {
+      flush();
+      nodes.push({ type: "bold", children: parseRichText(match[1], mentions, inLink) });
+    } else if (wordStart && (match = ITALIC.exec(rest))) {
+      flush();
+      nodes.push({ type: "italic", children: parseRichText(match[1] ?? match[2], mentions, inLink) });
+    } else {
+      plain += text[i];
+      i += 1;
+      continue;
+    }
+    i += match[0].length;
+  }
+  flush();
+  return nodes;
+}
+
+/** The @name being typed just before the caret, as { start, query }, or null */
+export function mentionAt(text, caret) {
+  const match = /(^|\s)@([^\s@]{0,32})$/.exec(text.slice(0, caret));
+  return match ? { start: caret - match[2].length - 1, query: match[2] } : null;
+}
+
+/** Why a file can't be attached, or null (the server checks the contents too) */
+export function uploadProblem(file) {
+  if (!UPLOAD_TYPES.includes(file.type)) return "Only images, PDFs and text files can be shared";
+  if (file.size > MAX_UPLOAD_BYTES) return `Files can be at most ${formatFileSize(MAX_UPLOAD_BYTES)}`;
+  return null;
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, "")} MB`;
+}
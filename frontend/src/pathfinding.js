@@ -0,0 +1,192 @@
+// A* over the room's collision grid (the `blocked` array from the server's map).
+// 8-way moves, no cutting corners past walls, then string-pulled into as few
+// straight segments as line of sight allows.
+
+const SQRT2 = Math.SQRT2;
+const CLEARANCE_PX = 4; // keep segments this far off walls so the server's sweep agrees
+
+/** True for walls and anything outside the map */
+export function isBlockedAt(map, x, y) {
+  const col = Math.floor(x / map.tileSize);
+  const row = Math.floor(y / map.tileSize);
+  if (col < 0 || row < 0 || col >= map.cols || row >= map.rows) return true;
+  return map.blocked[row * map.cols + col] === 1;
+}
+
+// Sample the segment finely and with a little clearance on each side
+function hasLineOfSight(map, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / (map.tileSize / 8)));
+  for (let i = 0; i <= steps; i++) {
+    const x = a.x + (dx * i) / steps;
+    const y = a.y + (dy * i) / steps;
+    if (
+      isBlockedAt(map, x - CLEARANCE_PX, y - CLEARANCE_PX) ||
+      isBlockedAt(map, x + CLEARANCE_PX, y - CLEARANCE_PX) ||
+      isBlockedAt(map, x - CLEARANCE_PX, y + CLEARANCE_PX) ||
+      isBlockedAt(map, x + CLEARANCE_PX, y + CLEARANCE_PX)
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Octile distance between tiles
+function heuristic(col, row, goalCol, goalRow) {
+  const dx = Math.abs(col - goalCol);
+  const dy = Math.abs(row - goalRow);
+  return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+}
+
+// Minimal binary heap of tile indices ordered by f score
+class OpenSet {
+  constructor(scores) {
+    this.scores = scores;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.scores[items[parent]] <= this.scores[items[i]]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.scores[items[left]] < this.scores[items[smallest]]) smallest = left;
+        if (right < items.length && this.scores[items[right]] < this.scores[items[smallest]]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2],
+];
+
+/**
+ * Plan a walk from `start` to `goal` (room px). If the goal is a wall or can't be
+ * reached, the path ends at the centre of the reachable tile closest to it.
+ * @param {{ tileSize: number, cols: number, rows: number, blocked: number[] }} map
+ * @returns {{ x: number, y: number }[]} waypoints after `start`, empty if there's nowhere to go
+ */
+export function findPath(map, start, goal) {
+  const { tileSize, cols, rows } = map;
+  const toTile = (p) => ({
+    col: Math.min(cols - 1, Math.max(0, Math.floor(p.x / tileSize))),
+    row: Math.min(rows - 1, Math.max(0, Math.floor(p.y / tileSize))),
+  });
+  const centre = (index) => ({
+    x: (index % cols) * tileSize + tileSize / 2,
+    y: Math.floor(index / cols) * tileSize + tileSize / 2,
+  });
+
+  const s = toTile(start);
+  const g = toTile(goal);
+  const startIndex = s.row * cols + s.col;
+  const goalIndex = g.row * cols + g.col;
+
+  const gScore = new Float64Array(cols * rows).fill(Infinity);
+  const fScore = new Float64Array(cols * rows).fill(Infinity);
+  const cameFrom = new Int32Array(cols * rows).fill(-1);
+  const closed = new Uint8Array(cols * rows);
+  const open = new OpenSet(fScore);
+
+  gScore[startIndex] = 0;
+  fScore[startIndex] = heuristic(s.col, s.row, g.col, g.row);
+  open.push(startIndex);
+
+  // Fallback target when the goal is unreachable: closest explored tile
+  let best = startIndex;
+  let bestDistance = fScore[startIndex];
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (closed[current]) continue;
+    closed[current] = 1;
+    if (current === goalIndex) {
+      best = current;
+      break;
+    }
+
+    const col = current % cols;
+    const row = Math.floor(current / cols);
+    const distance = heuristic(col, row, g.col, g.row);
+    if (distance < bestDistance) {
+      best = current;
+      bestDistance = distance;
+    }
+
+    for (const [dc, dr, cost] of NEIGHBOURS) {
+      const nc = col + dc;
+      const nr = row + dr;
+      if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+      const next = nr * cols + nc;
+      if (closed[next] || map.blocked[next] === 1) continue;
+      // Diagonals only when both orthogonal neighbours are open
+      if (dc !== 0 && dr !== 0 && (map.blocked[row * cols + nc] === 1 || map.blocked[nr * cols + col] === 1)) {
+        continue;
+      }
+      const tentative = gScore[current] + cost;
+      if (tentative >= gScore[next]) continue;
+      cameFrom[next] = current;
+      gScore[next] = tentative;
+      fScore[next] = tentative + heuristic(nc, nr, g.col, g.row);
+      open.push(next);
+    }
+  }
+
+  // Tile centres from start to the end tile, then the exact click if we got there
+  const tiles = [];
+  for (let i = best; i !== -1 && i !== startIndex; i = cameFrom[i]) tiles.unshift(centre(i));
+  const reachedGoal = best === goalIndex && map.blocked[goalIndex] !== 1;
+  if (reachedGoal) {
+    tiles.pop();
+    tiles.push({ x: goal.x, y: goal.y });
+  }
+  if (tiles.length === 0) return [];
+
+  // String pulling: skip every waypoint we can see past
+  const path = [];
+  let from = start;
+  let i = 0;
+  while (i < tiles.length) {
+    let furthest = i;
+    for (let j = tiles.length - 1; j > i; j--) {
+      if (hasLineOfSight(map, from, tiles[j])) {
+        furthest = j;
+        break;
+      }
+    }
+    path.push(tiles[furthest]);
+    from = tiles[furthest];
+    i = furthest + 1;
+  }
+  return path.map((p) => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+}
@@ -0,0 +1,78 @@
+// Whiteboard strokes, drawing and export. Strokes are in board coordinates,
+// the same fixed size as on the server (backend/objects.js), so every client
+// draws the same picture whatever the size of its overlay.
+
+export const BOARD_WIDTH = 960;
+export const BOARD_HEIGHT = 600;
+export const BOARD_BACKGROUND = "#ffffff";
+export const PEN_COLORS = ["#0f172a", "#ef4444", "#f97316", "#22c55e", "#0ea5e9", "#a855f7"];
+export const PEN_WIDTHS = [2, 4, 8, 16];
+
+/**
+ * Strokes with `points` appended to stroke `stroke.id`, which is started if new.
+ * Returns a new array; strokes are never mutated in place (they live in React state).
+ * @param {{ id: string, author?: string, color: string, width: number, points: number[][] }[]} strokes
+ */
+export function addStrokePoints(strokes, stroke, points) {
+  const index = strokes.findIndex((s) => s.id === stroke.id);
+  if (index < 0) return [...strokes, { ...stroke, points: [...points] }];
+  const next = strokes.slice();
+  next[index] = { ...strokes[index], points: [...strokes[index].points, ...points] };
+  return next;
+}
+
+function drawStroke(ctx, { color, width, points }) {
+  if (points.length === 0) return;
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  if (points.length === 1) {
+    // A tap is a dot
+    ctx.beginPath();
+    ctx.arc(points[0][0], points[0][1], width / 2, 0, Math.PI * 2);
+    ctx.fill();
+    return;
+  }
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+  ctx.stroke();
+}
+
+/** Paint the whole board; ctx is expected to be BOARD_WIDTH × BOARD_HEIGHT */
+export function drawBoard(ctx, strokes) {
+  ctx.fillStyle = BOARD_BACKGROUND;
+  ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const stroke of strokes) drawStroke(ctx, stroke);
+}
+
+/** The board as a standalone SVG document */
+export function boardToSVG(strokes) {
+  const shapes = strokes.map(({ color, width, points }) => {
+    if (points.length === 1) {
+      const [x, y] = points[0];
+      return `<circle cx="${x}" cy="${y}" r="${width / 2}" fill="${color}"/>`;
+    }
+    const path = points.map(([x, y]) => `${x},${y}`).join(" ");
+    return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${BOARD_WIDTH}" height="${BOARD_HEIGHT}" viewBox="0 0 ${BOARD_WIDTH} ${BOARD_HEIGHT}">`,
+    `<rect width="100%" height="100%" fill="${BOARD_BACKGROUND}"/>`,
+    ...shapes,
+    "</svg>",
+  ].join("\n");
+}
+
+/** The board as a PNG blob */
+export function boardToPNG(strokes) {
+  const canvas = document.createElement("canvas");
+  canvas.width = BOARD_WIDTH;
+  canvas.height = BOARD_HEIGHT;
+  drawBoard(canvas.getContext("2d"), strokes);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png");
+  });
+}